@@ -1,9 +1,19 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 
 // Slicer & Bubble Generator
-import { setupSlicer, getModelHeight, updateSliceSettings, getCurrentMesh, getOriginalMesh, getClippingPlanes, setSliceTarget, setTargetGeometry, restoreOriginalGeometry } from './src/slicer_v2.js';
+import { setupSlicer, getModelHeight, updateSliceSettings, getCurrentMesh, getOriginalMesh, getClippingPlanes, setSliceTarget, setTargetBubbles, restoreOriginalGeometry, refreshModelPlacement, setAdaptiveLayers, setUnsupportedBubbles } from './src/slicer_v2.js';
 import { BubbleGenerator } from './src/bubble_generator.js?v=8';
+import { buildPrintJob, jobToJSON, jobToGCode, downloadText } from './src/job_exporter.js';
+import { BuildVolume } from './src/build_volume.js';
+import { ProfileStore, PROFILE_FIELDS, DEFAULT_PROFILES } from './src/printer_profiles.js';
+import { getPlacement, setPlacement, mirrorObject, layFlat, getWorldFaceNormal } from './src/model_transform.js';
+import { findBestOrientations } from './src/orientation_optimizer.js';
+import { getLayerStep } from './src/bubble_pipeline.js';
+import { analyzeOverhangs } from './src/overhang_analysis.js';
+import { getTravelDistance } from './src/bubble_ordering.js';
+import { estimatePrint } from './src/print_estimator.js';
 
 console.log("[MAIN] BubblePrinter Version: 24 (Absolute Stability Fix)");
 
@@ -17,13 +27,12 @@ const app = document.querySelector('#app');
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x1a1a1a); // Deep Void
 
-// Grid Helper (Cura Style)
-const gridHelper = new THREE.GridHelper(50, 50, 0x008800, 0x444444); // Bright Green/Gray
-gridHelper.rotation.x = Math.PI / 2; // Rotate to XY plane
-scene.add(gridHelper);
+// Build Volume: bed grid (Cura Style) + wireframe box, in mm (1 world unit = 1 mm)
+const buildVolume = new BuildVolume(200, 200, 200);
+scene.add(buildVolume.group);
 
 // Camera
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 5000);
 camera.position.set(20, -20, 20); // Better angle for Z-up
 camera.up.set(0, 0, 1); // Z is up
 camera.lookAt(0, 0, 0);
@@ -78,18 +87,181 @@ document.getElementById('uploadBtn').addEventListener('click', () => {
   document.getElementById('fileInput').click();
 });
 
+const unitSelect = document.getElementById('unitSelect');
+const autoNormalizeToggle = document.getElementById('autoNormalizeToggle');
+const autoRepairToggle = document.getElementById('autoRepairToggle');
+let loadedFile = null; // Kept so unit changes can re-import the model
+
+function loadModel(file) {
+  loadedFile = file;
+
+  // Reset bubble mode UI and state
+  bubbleGenerator.cancel();
+  resetBubbleSettings();
+
+  setSliceTarget(null);
+  setupSlicer(file, scene, camera, controls, {
+    unit: unitSelect.value,
+    autoNormalize: autoNormalizeToggle.checked,
+    autoRepair: autoRepairToggle.checked
+  }).then((result) => {
+    if (!result) return; // Load failed (already reported)
+    showMeshHealth(result.health);
+    showModelParts(result.parts, result.unit);
+    applyLayerPitch();
+    checkBuildVolume();
+    updatePlacementGizmo();
+    syncPlacementInputs();
+    orientResults.style.display = 'none';
+  });
+}
+
 document.getElementById('fileInput').addEventListener('change', (e) => {
   const file = e.target.files[0];
   if (file) {
-    // Reset bubble mode UI and state
-    resetBubbleSettings();
+    loadModel(file);
+  }
+});
+
+// Re-import with the new unit interpretation
+const onImportUnitsChange = () => {
+  unitSelect.disabled = autoNormalizeToggle.checked;
+  if (loadedFile) {
+    loadModel(loadedFile);
+  }
+};
+unitSelect.addEventListener('change', onImportUnitsChange);
+autoNormalizeToggle.addEventListener('change', onImportUnitsChange);
+autoRepairToggle.addEventListener('change', () => {
+  if (loadedFile) {
+    loadModel(loadedFile);
+  }
+});
+
+
+// --- Mesh Health Logic ---
+const healthPanel = document.getElementById('healthPanel');
+const healthStatus = document.getElementById('healthStatus');
+const healthTable = document.getElementById('healthTable');
+
+const HEALTH_ROWS = [
+  { key: 'duplicateVertices', label: 'Duplicate vertices' },
+  { key: 'degenerateTriangles', label: 'Degenerate triangles' },
+  { key: 'boundaryEdges', label: 'Open edges' },
+  { key: 'holes', label: 'Holes' },
+  { key: 'nonManifoldEdges', label: 'Non-manifold edges' },
+  { key: 'flippedEdges', label: 'Flipped normals (edges)' }
+];
+
+function showMeshHealth(health) {
+  const { before, after, repair } = health;
+  const final = after || before;
+
+  healthStatus.textContent = final.healthy
+    ? (repair ? 'Repaired: mesh is watertight' : 'Mesh is watertight')
+    : (repair ? 'Mesh still has defects after repair' : 'Mesh has defects');
+  healthStatus.classList.toggle('warning', !final.healthy);
+
+  const cell = (value) => `<td class="${value > 0 ? 'bad' : ''}">${value}</td>`;
+  healthTable.innerHTML = `<tr><th>${before.triangles} triangles</th><th>Import</th>${after ? '<th>Repaired</th>' : ''}</tr>`
+    + HEALTH_ROWS.map(({ key, label }) =>
+      `<tr><td>${label}</td>${cell(before[key])}${after ? cell(after[key]) : ''}</tr>`
+    ).join('');
+
+  healthPanel.style.display = 'block';
+}
+
+// Part names of the loaded file, and the unit when the format fixes it (glTF is in metres)
+const modelParts = document.getElementById('modelParts');
+
+function showModelParts(parts, unit) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const unitNote = unit ? ` (file unit: ${unit})` : '';
+  modelParts.innerHTML = `${parts.length} part${parts.length === 1 ? '' : 's'}${unitNote}`
+    + `<ul>${parts.map(name => `<li>${escape(name)}</li>`).join('')}</ul>`;
+  modelParts.style.display = 'block';
+}
+
+
+// --- Job Export Logic ---
+const exportBtn = document.getElementById('exportBtn');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+
+exportBtn.addEventListener('click', () => {
+  const model = bubbleGenerator.getModel();
+  if (!bubbleModeToggle.checked || !model || model.bubbleCount === 0) {
+    alert("Please generate bubbles first (enable Bubble Mode).");
+    return;
+  }
+
+  const profile = profileStore.getActive();
+  const job = buildPrintJob(model, { profile: profile.name, inflationPressure: profile.inflationPressure });
+  if (exportFormatSelect.value === 'gcode') {
+    downloadText('bubble_job.gcode', jobToGCode(job));
+  } else {
+    downloadText('bubble_job.json', jobToJSON(job), 'application/json');
+  }
+  console.log(`[MAIN] Exported ${job.bubbleCount} bubbles in ${job.layerCount} layers as ${exportFormatSelect.value}.`);
+});
 
-    setSliceTarget(null);
-    setupSlicer(URL.createObjectURL(file), scene, camera, controls);
+// --- Build Volume Logic ---
+const buildVolumeBtn = document.getElementById('buildVolumeBtn');
+const buildVolumeModal = document.getElementById('buildVolumeModal');
+const buildVolumeWarning = document.getElementById('buildVolumeWarning');
+const volumeWidthInput = document.getElementById('volumeWidthInput');
+const volumeDepthInput = document.getElementById('volumeDepthInput');
+const volumeHeightInput = document.getElementById('volumeHeightInput');
+
+buildVolumeBtn.addEventListener('click', () => {
+  volumeWidthInput.value = buildVolume.width;
+  volumeDepthInput.value = buildVolume.depth;
+  volumeHeightInput.value = buildVolume.height;
+  buildVolumeModal.style.display = 'flex';
+});
+
+document.getElementById('cancelVolumeBtn').addEventListener('click', () => {
+  buildVolumeModal.style.display = 'none';
+});
+
+document.getElementById('applyVolumeBtn').addEventListener('click', () => {
+  const width = parseFloat(volumeWidthInput.value);
+  const depth = parseFloat(volumeDepthInput.value);
+  const height = parseFloat(volumeHeightInput.value);
+  if (!(width > 0 && depth > 0 && height > 0)) {
+    alert("Build volume dimensions must be greater than 0");
+    return;
   }
+
+  buildVolume.setSize(width, depth, height);
+  buildVolumeModal.style.display = 'none';
+  checkBuildVolume();
 });
 
+/**
+ * Checks the loaded model, or the generated bubbles in Bubble Mode, against the build volume
+ * and updates the highlight and warning banner.
+ */
+function checkBuildVolume() {
+  let bounds = null;
+  let label = 'Model';
+
+  const model = bubbleGenerator.getModel();
+  if (bubbleModeToggle.checked && model && model.bubbleCount > 0) {
+    bounds = model.getBounds();
+    label = 'Bubbles';
+  } else if (getOriginalMesh()) {
+    bounds = new THREE.Box3().setFromObject(getOriginalMesh());
+  }
 
+  const result = buildVolume.highlight(bounds);
+  if (result.inside) {
+    buildVolumeWarning.style.display = 'none';
+  } else {
+    buildVolumeWarning.textContent = `${label} exceed the build volume (${result.exceeded.join(', ')})`;
+    buildVolumeWarning.style.display = 'block';
+    console.warn(`[MAIN] ${label} out of build volume: ${result.exceeded.join(', ')}`);
+  }
+}
 
 // Slider Counter Logic
 const slider = document.getElementById('sliceSlider');
@@ -108,6 +280,10 @@ const applySettingsBtn = document.getElementById('applySettingsBtn');
 
 const layerCountInput = document.getElementById('layerCountInput');
 const layerHeightInput = document.getElementById('layerHeightInput');
+const adaptiveLayersToggle = document.getElementById('adaptiveLayersToggle');
+const adaptiveLayerSettings = document.getElementById('adaptiveLayerSettings');
+const minLayerHeightInput = document.getElementById('minLayerHeightInput');
+const maxDeviationInput = document.getElementById('maxDeviationInput');
 
 // Open Modal
 adjustBtn.addEventListener('click', () => {
@@ -116,9 +292,11 @@ adjustBtn.addEventListener('click', () => {
   const height = getModelHeight();
 
   layerCountInput.value = currentMax;
-  // Calc layer height: Total Height / Count
-  const lh = height / currentMax;
-  layerHeightInput.value = lh.toFixed(3); // 3 decimals for precision
+  // Calc layer height: Total Height / Count (adaptive layers keep their max height)
+  if (!adaptiveLayersToggle.checked) {
+    const lh = height / currentMax;
+    layerHeightInput.value = lh.toFixed(3); // 3 decimals for precision
+  }
 
   settingsModal.style.display = 'flex';
 });
@@ -144,20 +322,54 @@ layerHeightInput.addEventListener('input', () => {
   layerCountInput.value = newCount;
 });
 
+adaptiveLayersToggle.addEventListener('change', () => {
+  adaptiveLayerSettings.style.display = adaptiveLayersToggle.checked ? 'flex' : 'none';
+});
+
+/**
+ * Adaptive layer options from the modal (layer height input = max height), or null when off.
+ */
+function getAdaptiveOptions(maxHeight = parseFloat(layerHeightInput.value)) {
+  if (!adaptiveLayersToggle.checked) return null;
+  return {
+    minHeight: parseFloat(minLayerHeightInput.value),
+    maxHeight,
+    maxDeviation: parseFloat(maxDeviationInput.value)
+  };
+}
+
 // Apply Settings
 applySettingsBtn.addEventListener('click', () => {
-  const newCount = parseInt(layerCountInput.value);
-  if (newCount > 0) {
-    updateSliceSettings(newCount);
+  const adaptive = getAdaptiveOptions();
+  if (adaptive) {
+    if (!(adaptive.minHeight > 0 && adaptive.maxDeviation > 0 && adaptive.maxHeight >= adaptive.minHeight)) {
+      alert("Adaptive layers need 0 < min layer height <= layer height and a positive max deviation");
+      return;
+    }
+    setAdaptiveLayers(adaptive);
+    bubbleGenerator.setAdaptiveLayers({ maxDeviation: adaptive.maxDeviation });
     closeModal();
   } else {
-    alert("Layer count must be greater than 0");
+    const newCount = parseInt(layerCountInput.value);
+    if (newCount > 0) {
+      updateSliceSettings(newCount);
+      bubbleGenerator.setAdaptiveLayers(null);
+      closeModal();
+    } else {
+      alert("Layer count must be greater than 0");
+      return;
+    }
+  }
+
+  if (bubbleModeToggle.checked) {
+    updateBubbleView();
   }
 });
 
 // --- Bubble Mode Logic ---
 const bubbleModeToggle = document.getElementById('bubbleModeToggle');
 const bubbleSettings = document.getElementById('bubbleSettings');
+const bubbleProgress = document.getElementById('bubbleProgress');
 const bubbleSizeSlider = document.getElementById('bubbleSizeSlider');
 const bubbleSizeInput = document.getElementById('bubbleSizeInput');
 const bubbleOverlapVSlider = document.getElementById('bubbleOverlapVSlider');
@@ -166,6 +378,36 @@ const bubbleOverlapHSlider = document.getElementById('bubbleOverlapHSlider');
 const bubbleOverlapHInput = document.getElementById('bubbleOverlapHInput');
 const baseFlattenSlider = document.getElementById('baseFlattenSlider');
 const baseFlattenInput = document.getElementById('baseFlattenInput');
+const bubblePackingSelect = document.getElementById('bubblePackingSelect');
+const multiSizeToggle = document.getElementById('multiSizeToggle');
+const multiSizeSettings = document.getElementById('multiSizeSettings');
+const surfaceRadiiInput = document.getElementById('surfaceRadiiInput');
+const bubbleSizeSummary = document.getElementById('bubbleSizeSummary');
+const travelSummary = document.getElementById('travelSummary');
+const bubbleOrderSelect = document.getElementById('bubbleOrderSelect');
+const printEstimate = document.getElementById('printEstimate');
+const printEstimateStatus = document.getElementById('printEstimateStatus');
+const printEstimateTable = document.getElementById('printEstimateTable');
+const overhangSummary = document.getElementById('overhangSummary');
+const overhangStatus = document.getElementById('overhangStatus');
+const overhangTable = document.getElementById('overhangTable');
+const shellModeToggle = document.getElementById('shellModeToggle');
+const shellSettings = document.getElementById('shellSettings');
+const shellWallsInput = document.getElementById('shellWallsInput');
+const shellSolidLayersInput = document.getElementById('shellSolidLayersInput');
+const shellInfillInput = document.getElementById('shellInfillInput');
+const adhesionSelect = document.getElementById('adhesionSelect');
+const raftSettings = document.getElementById('raftSettings');
+const raftLayersInput = document.getElementById('raftLayersInput');
+const raftMarginInput = document.getElementById('raftMarginInput');
+const brimSettings = document.getElementById('brimSettings');
+const brimRingsInput = document.getElementById('brimRingsInput');
+const supportToggle = document.getElementById('supportToggle');
+const supportSettings = document.getElementById('supportSettings');
+const supportStyleSelect = document.getElementById('supportStyleSelect');
+const supportRadiusInput = document.getElementById('supportRadiusInput');
+const supportDensityInput = document.getElementById('supportDensityInput');
+const supportGapInput = document.getElementById('supportGapInput');
 const regenerateBubblesBtn = document.getElementById('regenerateBubblesBtn');
 
 bubbleModeToggle.addEventListener('change', () => {
@@ -185,9 +427,17 @@ bubbleModeToggle.addEventListener('change', () => {
     updateBubbleView();
   } else {
     bubbleSettings.style.display = 'none';
+    bubbleGenerator.cancel();
+    bubbleProgress.style.display = 'none';
+    bubbleSizeSummary.style.display = 'none';
+    travelSummary.style.display = 'none';
+    printEstimate.style.display = 'none';
+    overhangSummary.style.display = 'none';
     // Restore original geometry
     restoreOriginalGeometry(scene);
+    checkBuildVolume();
   }
+  updatePlacementGizmo();
 });
 
 // Sync slider -> input
@@ -197,7 +447,8 @@ bubbleSizeSlider.addEventListener('input', (e) => {
 
 // Sync input -> slider
 bubbleSizeInput.addEventListener('input', (e) => {
-  const val = Math.min(Math.max(parseFloat(e.target.value) || 0.01, 0.01), 2.0);
+  const min = parseFloat(bubbleSizeSlider.min);
+  const val = Math.min(Math.max(parseFloat(e.target.value) || min, min), parseFloat(bubbleSizeSlider.max));
   bubbleSizeSlider.value = val;
 });
 
@@ -206,7 +457,7 @@ bubbleOverlapVSlider.addEventListener('input', (e) => {
   bubbleOverlapVInput.value = e.target.value;
 });
 bubbleOverlapVInput.addEventListener('input', (e) => {
-  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 70);
+  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), parseInt(bubbleOverlapVSlider.max));
   bubbleOverlapVSlider.value = val;
 });
 
@@ -215,10 +466,126 @@ bubbleOverlapHSlider.addEventListener('input', (e) => {
   bubbleOverlapHInput.value = e.target.value;
 });
 bubbleOverlapHInput.addEventListener('input', (e) => {
-  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 70);
+  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), parseInt(bubbleOverlapHSlider.max));
   bubbleOverlapHSlider.value = val;
 });
 
+multiSizeToggle.addEventListener('change', () => {
+  multiSizeSettings.style.display = multiSizeToggle.checked ? 'flex' : 'none';
+});
+
+/**
+ * Parses the surface radii of multi-size mode and checks them against the active profile.
+ * @param {number} coreRadius - Radius of the core bubbles
+ * @returns {Array<number>|null} Radii (mm) smaller than the core, null when multi-size is off
+ * @throws {Error} If a value is not a usable radius
+ */
+function getSurfaceRadii(coreRadius) {
+  if (!multiSizeToggle.checked) return null;
+
+  const profile = profileStore.getActive();
+  const minRadius = profile.minBubbleDiameter / 2;
+  const radii = surfaceRadiiInput.value.split(/[,;\s]+/).filter(Boolean).map(Number);
+  radii.forEach(r => {
+    if (!Number.isFinite(r) || r < minRadius || r >= coreRadius) {
+      throw new Error(`Surface radii must be numbers from ${minRadius} mm up to the bubble radius (${coreRadius} mm)`);
+    }
+  });
+  if (radii.length === 0) {
+    throw new Error('Enter at least one surface radius');
+  }
+  return radii;
+}
+
+/**
+ * Default surface radii for a core radius: halving down to the smallest bubble of the profile.
+ */
+function getDefaultSurfaceRadii(coreRadius, profile) {
+  const radii = [];
+  for (let r = coreRadius / 2; r >= profile.minBubbleDiameter / 2 && radii.length < 2; r /= 2) {
+    radii.push(parseFloat(r.toFixed(3)));
+  }
+  return radii;
+}
+
+shellModeToggle.addEventListener('change', () => {
+  shellSettings.style.display = shellModeToggle.checked ? 'block' : 'none';
+});
+
+/**
+ * Shell (hollow) mode options from the bubble panel, null when off.
+ * @returns {{walls: number, solidLayers: number, infillSpacing: number}|null}
+ * @throws {Error} If a value is out of range
+ */
+function getShellOptions() {
+  if (!shellModeToggle.checked) return null;
+
+  const options = {
+    walls: parseInt(shellWallsInput.value),
+    solidLayers: parseInt(shellSolidLayersInput.value),
+    infillSpacing: parseInt(shellInfillInput.value)
+  };
+  if (!(options.walls >= 1)) throw new Error('Wall thickness must be at least 1 bubble');
+  if (!(options.solidLayers >= 0)) throw new Error('Solid top/bottom layers must be 0 or more');
+  if (!(options.infillSpacing >= 0)) throw new Error('Infill spacing must be 0 (no infill) or more');
+  if (options.infillSpacing > 0 && options.infillSpacing < 2) throw new Error('Infill ribs need a spacing of at least 2 bubbles');
+  return options;
+}
+
+adhesionSelect.addEventListener('change', () => {
+  raftSettings.style.display = adhesionSelect.value === 'raft' ? 'block' : 'none';
+  brimSettings.style.display = adhesionSelect.value === 'brim' ? 'flex' : 'none';
+});
+
+/**
+ * Bed adhesion options (raft or brim) from the bubble panel, null for none.
+ * @returns {{type: string, layers?: number, margin?: number, rings?: number}|null}
+ * @throws {Error} If a value is out of range
+ */
+function getAdhesionOptions() {
+  if (adhesionSelect.value === 'raft') {
+    const options = { type: 'raft', layers: parseInt(raftLayersInput.value), margin: parseFloat(raftMarginInput.value) };
+    if (!(options.layers >= 1 && options.layers <= 10)) throw new Error('Raft layers must be between 1 and 10');
+    if (!(options.margin >= 0)) throw new Error('Raft margin must be 0 or more');
+    return options;
+  }
+  if (adhesionSelect.value === 'brim') {
+    const options = { type: 'brim', rings: parseInt(brimRingsInput.value) };
+    if (!(options.rings >= 1 && options.rings <= 50)) throw new Error('Brim rings must be between 1 and 50');
+    return options;
+  }
+  return null;
+}
+
+supportToggle.addEventListener('change', () => {
+  supportSettings.style.display = supportToggle.checked ? 'block' : 'none';
+});
+
+/**
+ * Support bubble options from the bubble panel, null when supports are off.
+ * @returns {{style: string, radius: number, density: number, interfaceGap: number}|null}
+ * @throws {Error} If a value is out of range
+ */
+function getSupportOptions() {
+  if (!supportToggle.checked) return null;
+
+  const profile = profileStore.getActive();
+  const options = {
+    style: supportStyleSelect.value,
+    radius: parseFloat(supportRadiusInput.value),
+    density: parseInt(supportDensityInput.value),
+    interfaceGap: parseFloat(supportGapInput.value)
+  };
+  const minRadius = profile.minBubbleDiameter / 2;
+  const maxRadius = profile.maxBubbleDiameter / 2;
+  if (!(options.radius >= minRadius && options.radius <= maxRadius)) {
+    throw new Error(`Support radius must be between ${minRadius} and ${maxRadius} mm`);
+  }
+  if (!(options.density >= 1 && options.density <= 100)) throw new Error('Support density must be between 1 and 100%');
+  if (!(options.interfaceGap >= 0)) throw new Error('Interface gap must be 0 or more');
+  return options;
+}
+
 // Sync slider -> input for Base Flatten
 baseFlattenSlider.addEventListener('input', (e) => {
   baseFlattenInput.value = e.target.value;
@@ -226,32 +593,213 @@ baseFlattenSlider.addEventListener('input', (e) => {
 
 // Sync input -> slider for Base Flatten
 baseFlattenInput.addEventListener('input', (e) => {
-  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 100);
+  const val = Math.min(Math.max(parseInt(e.target.value) || 0, 0), parseInt(baseFlattenSlider.max));
   baseFlattenSlider.value = val;
 });
 
 /**
- * Resets all bubble settings to default and turns off Bubble Mode.
+ * Resets all bubble settings to the active profile's defaults and turns off Bubble Mode.
  */
 function resetBubbleSettings() {
-  console.log("[MAIN] Resetting bubble settings to defaults...");
+  console.log("[MAIN] Resetting bubble settings to profile defaults...");
   bubbleModeToggle.checked = false;
   bubbleSettings.style.display = 'none';
 
   // Reset sliders and inputs to defaults
-  bubbleSizeSlider.value = 0.5;
-  bubbleSizeInput.value = "0.50";
+  const profile = profileStore.getActive();
+  const radius = profile.defaultBubbleDiameter / 2;
+  bubbleSizeSlider.value = radius;
+  bubbleSizeInput.value = radius.toFixed(2);
+
+  bubbleOverlapVSlider.value = profile.defaultOverlapV;
+  bubbleOverlapVInput.value = profile.defaultOverlapV;
+
+  bubbleOverlapHSlider.value = profile.defaultOverlapH;
+  bubbleOverlapHInput.value = profile.defaultOverlapH;
+
+  baseFlattenSlider.value = profile.defaultBaseFlatten;
+  baseFlattenInput.value = profile.defaultBaseFlatten;
 
-  bubbleOverlapVSlider.value = 0;
-  bubbleOverlapVInput.value = 0;
+  surfaceRadiiInput.value = getDefaultSurfaceRadii(radius, profile).join(', ');
+  supportRadiusInput.value = Math.max(profile.minBubbleDiameter / 2, radius / 2).toFixed(2);
+  bubbleSizeSummary.style.display = 'none';
+  travelSummary.style.display = 'none';
+  printEstimate.style.display = 'none';
+  overhangSummary.style.display = 'none';
+  setUnsupportedBubbles(new Set());
+}
+
+// --- Printer Profile Logic ---
+const profileStore = new ProfileStore();
+const profileSelect = document.getElementById('profileSelect');
+const profileModal = document.getElementById('profileModal');
+const profileModalTitle = document.getElementById('profileModalTitle');
+const profileNameInput = document.getElementById('profileNameInput');
+const profileFields = document.getElementById('profileFields');
+const profileImportInput = document.getElementById('profileImportInput');
+let editingProfileId = null; // null = creating a new profile
 
-  bubbleOverlapHSlider.value = 0;
-  bubbleOverlapHInput.value = 0;
+// Build the editor form from the profile field definitions
+PROFILE_FIELDS.forEach(field => {
+  const row = document.createElement('div');
+  row.className = 'setting-row';
+  row.innerHTML = `<label>${field.label}:</label>
+    <input type="number" data-key="${field.key}" min="${field.min}" ${field.max !== undefined ? `max="${field.max}"` : ''} step="${field.step}" class="value-input">
+    <span>${field.unit}</span>`;
+  profileFields.appendChild(row);
+});
 
-  baseFlattenSlider.value = 50;
-  baseFlattenInput.value = 50;
+function refreshProfileSelect() {
+  profileSelect.innerHTML = '';
+  profileStore.list().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = profileStore.activeId;
 }
 
+/**
+ * Constrains and prefills the bubble controls from a profile,
+ * and applies its build volume and layer pitch.
+ */
+function applyProfile(profile) {
+  console.log(`[MAIN] Applying profile "${profile.name}"`);
+
+  // Bubble radius range (the profile stores diameters)
+  bubbleSizeSlider.min = bubbleSizeInput.min = profile.minBubbleDiameter / 2;
+  bubbleSizeSlider.max = bubbleSizeInput.max = profile.maxBubbleDiameter / 2;
+
+  bubbleOverlapVSlider.max = bubbleOverlapVInput.max = profile.maxOverlapV;
+  bubbleOverlapHSlider.max = bubbleOverlapHInput.max = profile.maxOverlapH;
+  baseFlattenSlider.max = baseFlattenInput.max = profile.maxBaseFlatten;
+
+  // Prefill with the profile defaults (keeps Bubble Mode state)
+  const wasBubbleMode = bubbleModeToggle.checked;
+  resetBubbleSettings();
+  if (wasBubbleMode) {
+    bubbleModeToggle.checked = true;
+    bubbleSettings.style.display = 'block';
+    updateBubbleView();
+  }
+
+  buildVolume.setSize(profile.bedWidth, profile.bedDepth, profile.maxHeight);
+  applyLayerPitch();
+  checkBuildVolume();
+}
+
+/**
+ * Sets the slice layer count from the active profile's layer pitch.
+ */
+function applyLayerPitch() {
+  if (!getOriginalMesh()) return;
+  const pitch = profileStore.getActive().layerPitch;
+  const adaptive = getAdaptiveOptions(pitch);
+  if (adaptive) {
+    setAdaptiveLayers(adaptive);
+  } else {
+    updateSliceSettings(Math.max(1, Math.round(getModelHeight() / pitch)));
+  }
+}
+
+profileSelect.addEventListener('change', () => {
+  profileStore.setActive(profileSelect.value);
+  applyProfile(profileStore.getActive());
+});
+
+function openProfileEditor(profile, title) {
+  profileModalTitle.textContent = title;
+  profileNameInput.value = profile.name;
+  profileFields.querySelectorAll('input').forEach(input => {
+    input.value = profile[input.dataset.key];
+  });
+  profileModal.style.display = 'flex';
+}
+
+document.getElementById('editProfileBtn').addEventListener('click', () => {
+  editingProfileId = profileStore.activeId;
+  openProfileEditor(profileStore.getActive(), 'Edit Profile');
+});
+
+document.getElementById('newProfileBtn').addEventListener('click', () => {
+  editingProfileId = null;
+  openProfileEditor({ ...DEFAULT_PROFILES[0], name: 'New Profile' }, 'New Profile');
+});
+
+document.getElementById('duplicateProfileBtn').addEventListener('click', () => {
+  const copy = profileStore.duplicate(profileStore.activeId);
+  profileStore.setActive(copy.id);
+  refreshProfileSelect();
+  applyProfile(copy);
+});
+
+document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+  const profile = profileStore.getActive();
+  if (!confirm(`Delete profile "${profile.name}"?`)) return;
+  try {
+    profileStore.remove(profile.id);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  refreshProfileSelect();
+  applyProfile(profileStore.getActive());
+});
+
+document.getElementById('exportProfileBtn').addEventListener('click', () => {
+  const profile = profileStore.getActive();
+  const filename = `${profile.name.replace(/[^a-z0-9]+/gi, '_')}.profile.json`;
+  downloadText(filename, profileStore.exportProfile(profile.id), 'application/json');
+});
+
+document.getElementById('importProfileBtn').addEventListener('click', () => {
+  profileImportInput.click();
+});
+
+profileImportInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  profileImportInput.value = ''; // Allow importing the same file again
+  if (!file) return;
+
+  file.text().then(text => {
+    const imported = profileStore.importProfiles(text);
+    profileStore.setActive(imported[0].id);
+    refreshProfileSelect();
+    applyProfile(imported[0]);
+    console.log(`[MAIN] Imported ${imported.length} profile(s).`);
+  }).catch(error => {
+    alert(`Could not import profile: ${error.message}`);
+  });
+});
+
+document.getElementById('cancelProfileBtn').addEventListener('click', () => {
+  profileModal.style.display = 'none';
+});
+
+document.getElementById('saveProfileBtn').addEventListener('click', () => {
+  const data = { name: profileNameInput.value };
+  profileFields.querySelectorAll('input').forEach(input => {
+    data[input.dataset.key] = parseFloat(input.value);
+  });
+
+  let profile;
+  try {
+    profile = editingProfileId ? profileStore.update(editingProfileId, data) : profileStore.add(data);
+  } catch (error) {
+    alert(`Invalid profile: ${error.message}`);
+    return;
+  }
+
+  profileStore.setActive(profile.id);
+  profileModal.style.display = 'none';
+  refreshProfileSelect();
+  applyProfile(profile);
+});
+
+refreshProfileSelect();
+applyProfile(profileStore.getActive());
+
 regenerateBubblesBtn.addEventListener('click', () => {
   updateBubbleView();
 });
@@ -270,16 +818,359 @@ function updateBubbleView() {
     const overlapH = parseInt(bubbleOverlapHSlider.value);
     const baseFlattenPercent = parseInt(baseFlattenSlider.value);
 
-    console.log(`[MAIN] Refresh clicked! size=${radius}, overlapV=${overlapV}, overlapH=${overlapH}, flatten=${baseFlattenPercent}`);
+    bubbleGenerator.setPacking(bubblePackingSelect.value);
+    try {
+      bubbleGenerator.setSurfaceSizes(getSurfaceRadii(radius));
+      bubbleGenerator.setShell(getShellOptions());
+      bubbleGenerator.setAdhesion(getAdhesionOptions());
+      bubbleGenerator.setSupports(getSupportOptions());
+      bubbleGenerator.setOrdering(bubbleOrderSelect.value === 'none' ? null : bubbleOrderSelect.value);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
 
-    // Generate Bubbles from the ORIGINAL geometry
-    const bubbleGeo = bubbleGenerator.generateGeometry(originalMesh, radius, overlapV, overlapH, baseFlattenPercent);
+    console.log(`[MAIN] Refresh clicked! size=${radius}, overlapV=${overlapV}, overlapH=${overlapH}, flatten=${baseFlattenPercent}, packing=${bubblePackingSelect.value}`);
 
-    if (bubbleGeo) {
-      // Hand over to Slicer for Visualization (Orange Cut + Caps)
-      setTargetGeometry(bubbleGeo, scene, false);
-    } else {
-      console.warn("Bubble Mode: No geometry generated.");
-    }
+    // Generate Bubbles from the ORIGINAL geometry, off the main thread.
+    // A new request cancels the running one.
+    bubbleProgress.textContent = 'Preparing...';
+    bubbleProgress.style.display = 'block';
+    bubbleGenerator.generateAsync(originalMesh, radius, overlapV, overlapH, baseFlattenPercent, ({ phase, layer, layerCount }) => {
+      bubbleProgress.textContent = `${phase === 'slicing' ? 'Slicing' : 'Placing'} layer ${layer} of ${layerCount}`;
+    }).then((model) => {
+      bubbleProgress.style.display = 'none';
+      console.log(`[MAIN] Bubble model: ${model.bubbleCount} bubbles in ${model.getNonEmptyLayers().length} layers.`);
+
+      // Bubble Mode may have been switched off while generating
+      if (!bubbleModeToggle.checked) return;
+
+      showBubbleSizeSummary(model);
+      showTravelSummary(model);
+      showPrintEstimate(model);
+
+      if (model.bubbleCount > 0) {
+        // Hand over to Slicer for Visualization (Instanced bubbles, Orange Cut)
+        setTargetBubbles(model, scene, false);
+
+        // Bubbles that would be inflated in mid-air turn red
+        const supports = model.settings.supports;
+        const overhangs = analyzeOverhangs(model, { interfaceGap: supports ? supports.interfaceGap : 0 });
+        setUnsupportedBubbles(overhangs.unsupported);
+        showOverhangSummary(overhangs);
+      } else {
+        console.warn("Bubble Mode: No geometry generated.");
+      }
+      checkBuildVolume();
+    }).catch((error) => {
+      if (error.name === 'AbortError') return; // Superseded by a newer request
+      bubbleProgress.style.display = 'none';
+      console.error('[MAIN] Bubble generation failed', error);
+      alert(`Bubble generation failed: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Lists how many bubbles of each size the model needs (multi-size mode) and how many
+ * of them are raft, brim or support bubbles.
+ */
+function showBubbleSizeSummary(model) {
+  const parts = [];
+  if (model.settings.sizes) {
+    parts.push(...model.getSizeCounts().map(({ radius, count }) => `r ${radius} mm: ${count}`));
+  }
+  const adhesion = model.settings.adhesion;
+  if (adhesion) {
+    const raftLayers = model.layers.filter(layer => layer.type === 'raft').length;
+    parts.push(adhesion.type === 'raft'
+      ? `raft: ${model.countBubbles('raft')} in ${raftLayers} layers`
+      : `brim: ${model.countBubbles('brim')}`);
+  }
+  if (model.settings.supports) {
+    parts.push(`supports: ${model.supportCount}`);
+  }
+  if (parts.length === 0) {
+    bubbleSizeSummary.style.display = 'none';
+    return;
+  }
+  bubbleSizeSummary.textContent = parts.join(' · ');
+  bubbleSizeSummary.style.display = 'block';
+}
+
+/**
+ * Shows how far the machine travels between bubbles in the chosen deposition order.
+ */
+function showTravelSummary(model) {
+  const option = bubbleOrderSelect.querySelector(`option[value="${model.settings.ordering || 'none'}"]`);
+  travelSummary.textContent = `Travel: ${getTravelDistance(model).toFixed(1)} mm (${option.textContent})`;
+  travelSummary.style.display = model.bubbleCount > 0 ? 'block' : 'none';
+}
+
+/**
+ * Formats a duration in seconds as "1 h 5 min", "3 min 20 s" or "12 s".
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours} h ${minutes} min`;
+  if (minutes > 0) return `${minutes} min ${total % 60} s`;
+  return `${total} s`;
+}
+
+/**
+ * Shows the estimated print time and plastic mass for the active profile, per layer.
+ */
+function showPrintEstimate(model) {
+  if (model.bubbleCount === 0) {
+    printEstimate.style.display = 'none';
+    return;
+  }
+
+  const estimate = estimatePrint(model, profileStore.getActive());
+  printEstimateStatus.textContent =
+    `${estimate.bubbles} bubbles · ~${formatDuration(estimate.time)} · ${estimate.mass.toFixed(2)} g plastic`;
+  printEstimateTable.innerHTML = '<tr><th>Layer</th><th>Bubbles</th><th>Time</th><th>Mass</th></tr>'
+    + estimate.layers.map(({ layer, type, bubbles, time, mass }) =>
+      `<tr><td>Layer ${layer + 1}${type === 'raft' ? ' (raft)' : ''}</td><td>${bubbles}</td><td>${formatDuration(time)}</td><td>${mass.toFixed(3)} g</td></tr>`
+    ).join('');
+  printEstimate.style.display = 'block';
+}
+
+/**
+ * Shows the number of unsupported bubbles, per layer.
+ * @param {{count: number, layers: Array<{layer: number, bubbles: number, unsupported: number}>}} overhangs
+ */
+function showOverhangSummary(overhangs) {
+  const layers = overhangs.layers.filter(l => l.unsupported > 0);
+  if (layers.length === 0) {
+    overhangSummary.style.display = 'none';
+    return;
+  }
+
+  overhangStatus.textContent = `${overhangs.count} unsupported bubble(s) in ${layers.length} layer(s)`;
+  overhangTable.innerHTML = layers.map(({ layer, bubbles, unsupported }) =>
+    `<tr><td>Layer ${layer + 1}</td><td class="bad">${unsupported} / ${bubbles}</td></tr>`
+  ).join('');
+  overhangSummary.style.display = 'block';
+}
+
+// --- Placement Logic ---
+const placementToggle = document.getElementById('placementToggle');
+const placementSettings = document.getElementById('placementSettings');
+const gizmoModeSelect = document.getElementById('gizmoModeSelect');
+const uniformScaleToggle = document.getElementById('uniformScaleToggle');
+const layFlatBtn = document.getElementById('layFlatBtn');
+const posInputs = { x: document.getElementById('posXInput'), y: document.getElementById('posYInput') };
+const rotInputs = {
+  x: document.getElementById('rotXInput'),
+  y: document.getElementById('rotYInput'),
+  z: document.getElementById('rotZInput')
+};
+const scaleInputs = {
+  x: document.getElementById('scaleXInput'),
+  y: document.getElementById('scaleYInput'),
+  z: document.getElementById('scaleZInput')
+};
+
+const transformControls = new TransformControls(camera, renderer.domElement);
+transformControls.setMode('translate');
+transformControls.showZ = false; // Z is always re-dropped to the bed
+scene.add(transformControls);
+
+// Don't orbit while dragging the gizmo; commit when the drag ends
+transformControls.addEventListener('dragging-changed', (e) => {
+  controls.enabled = !e.value;
+  if (!e.value) {
+    commitPlacement();
+  }
+});
+
+let layFlatPicking = false;
+
+/**
+ * Attaches the gizmo to the original model while the Placement panel is open
+ * and the model itself (not the bubbles) is shown.
+ */
+function updatePlacementGizmo() {
+  const mesh = getOriginalMesh();
+  if (placementToggle.checked && mesh && !bubbleModeToggle.checked) {
+    transformControls.attach(mesh);
+  } else {
+    transformControls.detach();
+  }
+}
+
+/**
+ * Re-slices after a placement change, and regenerates bubbles in Bubble Mode.
+ */
+function commitPlacement() {
+  refreshModelPlacement();
+  syncPlacementInputs();
+  if (bubbleModeToggle.checked) {
+    updateBubbleView();
   }
+  checkBuildVolume();
+}
+
+function syncPlacementInputs() {
+  const mesh = getOriginalMesh();
+  if (!mesh) return;
+
+  const placement = getPlacement(mesh);
+  const importScale = mesh.userData.importScale || 1;
+  ['x', 'y'].forEach(axis => {
+    posInputs[axis].value = placement.position[axis].toFixed(2);
+  });
+  ['x', 'y', 'z'].forEach(axis => {
+    rotInputs[axis].value = placement.rotation[axis].toFixed(1);
+    scaleInputs[axis].value = (Math.abs(placement.scale[axis]) / importScale * 100).toFixed(1);
+  });
+}
+
+function applyPlacementInputs() {
+  const mesh = getOriginalMesh();
+  if (!mesh) return;
+
+  const importScale = mesh.userData.importScale || 1;
+  const read = (input, fallback) => {
+    const val = parseFloat(input.value);
+    return Number.isFinite(val) ? val : fallback;
+  };
+
+  // Keep mirroring (negative scale) when editing the magnitude
+  const scale = {};
+  ['x', 'y', 'z'].forEach(axis => {
+    const percent = Math.max(read(scaleInputs[axis], 100), 0.1);
+    scale[axis] = Math.sign(mesh.scale[axis] || 1) * importScale * percent / 100;
+  });
+
+  setPlacement(mesh, {
+    position: { x: read(posInputs.x, 0), y: read(posInputs.y, 0) },
+    rotation: { x: read(rotInputs.x, 0), y: read(rotInputs.y, 0), z: read(rotInputs.z, 0) },
+    scale
+  });
+  commitPlacement();
 }
+
+placementToggle.addEventListener('change', () => {
+  if (placementToggle.checked && !getOriginalMesh()) {
+    alert("Please load a model first.");
+    placementToggle.checked = false;
+    return;
+  }
+  placementSettings.style.display = placementToggle.checked ? 'flex' : 'none';
+  syncPlacementInputs();
+  updatePlacementGizmo();
+});
+
+gizmoModeSelect.addEventListener('change', () => {
+  transformControls.setMode(gizmoModeSelect.value);
+  transformControls.showZ = gizmoModeSelect.value !== 'translate';
+});
+
+[...Object.values(posInputs), ...Object.values(rotInputs)].forEach(input => {
+  input.addEventListener('change', applyPlacementInputs);
+});
+
+Object.entries(scaleInputs).forEach(([axis, input]) => {
+  input.addEventListener('change', () => {
+    if (uniformScaleToggle.checked) {
+      Object.values(scaleInputs).forEach(other => {
+        other.value = scaleInputs[axis].value;
+      });
+    }
+    applyPlacementInputs();
+  });
+});
+
+['x', 'y', 'z'].forEach(axis => {
+  document.getElementById(`mirror${axis.toUpperCase()}Btn`).addEventListener('click', () => {
+    const mesh = getOriginalMesh();
+    if (!mesh) return;
+    mirrorObject(mesh, axis);
+    commitPlacement();
+  });
+});
+
+// Lay flat: the next click on the model picks the face that goes down onto the bed
+layFlatBtn.addEventListener('click', () => {
+  if (bubbleModeToggle.checked) {
+    alert("Turn off Bubble Mode to pick a face on the model.");
+    return;
+  }
+  layFlatPicking = !layFlatPicking;
+  layFlatBtn.classList.toggle('active', layFlatPicking);
+});
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+renderer.domElement.addEventListener('click', (e) => {
+  const mesh = getOriginalMesh();
+  if (!layFlatPicking || !mesh) return;
+
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+
+  const hit = raycaster.intersectObject(mesh, true)[0];
+  if (!hit) return;
+
+  const normal = getWorldFaceNormal(hit);
+  if (normal) {
+    layFlat(mesh, normal);
+    commitPlacement();
+  }
+
+  layFlatPicking = false;
+  layFlatBtn.classList.remove('active');
+});
+
+// --- Auto-Orient Logic ---
+const autoOrientBtn = document.getElementById('autoOrientBtn');
+const orientResults = document.getElementById('orientResults');
+const ORIENT_TOP_CANDIDATES = 3;
+
+autoOrientBtn.addEventListener('click', () => {
+  const mesh = getOriginalMesh();
+  if (!mesh) return;
+
+  // Score with the current bubble settings
+  const radius = parseFloat(bubbleSizeSlider.value);
+  const layerStep = getLayerStep({ radius, overlapV: parseInt(bubbleOverlapVSlider.value), packing: bubblePackingSelect.value });
+  const candidates = findBestOrientations(mesh, { bubbleRadius: radius, layerStep });
+  const top = candidates.slice(0, ORIENT_TOP_CANDIDATES);
+
+  // Candidates are relative to the current pose, so apply the best one right away
+  // and offer the runners-up as alternatives from that same starting pose.
+  const startQuaternion = mesh.quaternion.clone();
+  const startPosition = mesh.position.clone();
+
+  const applyCandidate = (candidate) => {
+    mesh.quaternion.copy(startQuaternion);
+    mesh.position.copy(startPosition);
+    layFlat(mesh, candidate.down);
+    commitPlacement();
+  };
+
+  orientResults.innerHTML = '';
+  top.forEach((candidate, i) => {
+    const row = document.createElement('div');
+    row.className = 'orient-candidate' + (i === 0 ? ' active' : '');
+    row.innerHTML = `<span>#${i + 1} score ${candidate.score.toFixed(1)}</span>
+      <span>unsup ${candidate.unsupportedBubbles} · base ${candidate.contactArea.toFixed(1)}mm² · ${candidate.layers} layers</span>`;
+    row.addEventListener('click', () => {
+      orientResults.querySelectorAll('.orient-candidate').forEach(r => r.classList.remove('active'));
+      row.classList.add('active');
+      applyCandidate(candidate);
+    });
+    orientResults.appendChild(row);
+  });
+  orientResults.style.display = 'flex';
+
+  console.log(`[MAIN] Auto-orient: best score ${top[0].score.toFixed(1)} of ${candidates.length} candidates.`);
+  applyCandidate(top[0]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Adaptive layer heights (no three.js, also used by the bubble worker).
+ * Layer thickness follows the surface slope: where the surface is close to horizontal
+ * (the poles of a sphere, flat tops) the stair-step error of a layer is large, so layers
+ * get thin; along vertical walls the error is zero and layers can be as thick as allowed.
+ *
+ * For a face with normal n, a layer of height h leaves a cusp of about h * |n.z|,
+ * so the allowed height is maxDeviation / |n.z| (clamped to [minHeight, maxHeight]).
+ */
+
+const MAX_BINS = 100000;
+
+/**
+ * Builds the slope profile of the model: the steepest "flatness" |n.z| of the faces
+ * crossing each Z bin.
+ * @param {Array<TriangleSliceIndex>} indices - World-space triangles (see slice_core.js)
+ * @param {number} binSize - Z resolution in mm
+ * @returns {{minZ: number, maxZ: number, binSize: number, slope: Float32Array}}
+ */
+export function buildSlopeProfile(indices, binSize) {
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    indices.forEach(index => {
+        if (index.triangleCount === 0) return;
+        minZ = Math.min(minZ, index.minZ);
+        maxZ = Math.max(maxZ, index.maxZ);
+    });
+    if (minZ > maxZ) {
+        return { minZ: 0, maxZ: 0, binSize: 1, slope: new Float32Array(1) };
+    }
+
+    const range = maxZ - minZ;
+    const binCount = Math.max(1, Math.min(MAX_BINS, Math.ceil(range / binSize)));
+    const profile = { minZ, maxZ, binSize: range / binCount || 1, slope: new Float32Array(binCount) };
+
+    indices.forEach(index => {
+        const t = index.triangles;
+        for (let i = 0; i < index.triangleCount; i++) {
+            const o = i * 9;
+            const ux = t[o + 3] - t[o], uy = t[o + 4] - t[o + 1], uz = t[o + 5] - t[o + 2];
+            const vx = t[o + 6] - t[o], vy = t[o + 7] - t[o + 1], vz = t[o + 8] - t[o + 2];
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+            const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            if (length === 0) continue;
+
+            const flatness = Math.abs(nz) / length;
+            const b0 = getBin(profile, index.triMinZ[i]);
+            const b1 = getBin(profile, index.triMaxZ[i]);
+            for (let b = b0; b <= b1; b++) {
+                if (flatness > profile.slope[b]) profile.slope[b] = flatness;
+            }
+        }
+    });
+
+    return profile;
+}
+
+function getBin(profile, z) {
+    const b = Math.floor((z - profile.minZ) / profile.binSize);
+    return Math.max(0, Math.min(profile.slope.length - 1, b));
+}
+
+/**
+ * Largest |n.z| of the faces between z0 and z1.
+ * @returns {number} 0 (vertical walls only) to 1 (horizontal face)
+ */
+export function getMaxSlope(profile, z0, z1) {
+    if (z1 < profile.minZ || z0 > profile.maxZ) return 0;
+    let max = 0;
+    for (let b = getBin(profile, z0), end = getBin(profile, z1); b <= end; b++) {
+        max = Math.max(max, profile.slope[b]);
+    }
+    return max;
+}
+
+/**
+ * Height allowed for a layer starting at z.
+ * @returns {number}
+ */
+export function getAdaptiveStep(profile, z, minHeight, maxHeight, maxDeviation) {
+    let height = maxHeight;
+    // Shrink until the layer is flat enough over its whole extent
+    for (; ;) {
+        const slope = getMaxSlope(profile, z, z + height);
+        const allowed = slope > 0 ? maxDeviation / slope : maxHeight;
+        if (allowed >= height || height <= minHeight) break;
+        height = Math.max(minHeight, allowed);
+    }
+    return height;
+}
+
+/**
+ * Computes adaptive layer boundaries from the bottom to the top of the profile.
+ * @param {{minZ: number, maxZ: number}} profile - From buildSlopeProfile
+ * @param {{minHeight: number, maxHeight: number, maxDeviation: number}} options - mm
+ * @returns {Array<number>} Layer boundaries [minZ, top of layer 1, ..., maxZ]
+ */
+export function getAdaptiveLayerHeights(profile, { minHeight, maxHeight, maxDeviation }) {
+    const heights = [profile.minZ];
+    let z = profile.minZ;
+
+    while (z < profile.maxZ) {
+        const step = getAdaptiveStep(profile, z, minHeight, maxHeight, maxDeviation);
+        z = Math.min(profile.maxZ, z + step);
+
+        // Fold a sliver at the top into the previous layer
+        if (profile.maxZ - z < minHeight * 0.5 && z < profile.maxZ) {
+            z = profile.maxZ;
+        }
+        heights.push(z);
+    }
+
+    return heights;
+}
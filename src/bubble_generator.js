@@ -1,144 +1,229 @@
 import * as THREE from 'three';
-import { getSliceContours } from './geometry_utils_v2.js';
-import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import { layerCache } from './layer_cache.js';
+import { bubbleWorker } from './bubble_worker_client.js';
+import { getObjectSliceIndices } from './geometry_utils_v2.js';
+import { buildBubbleModel, getBubbleSlopeProfile, getSampleHeights, PACKING_MODES, ADHESION_TYPES } from './bubble_pipeline.js';
+import { BubbleModel } from './bubble_model.js';
+import { SUPPORT_STYLES } from './support_generator.js';
+import { ORDERING_STRATEGIES } from './bubble_ordering.js';
 
 export class BubbleGenerator {
     constructor() {
         // No scene or mesh management anymore. Pure logic.
         this.bubbleSize = 0.5;
+        this.model = null; // BubbleModel of the last generation
+        this.jobId = null; // Id of the last worker job (see bubble_worker_client.js)
+        this.adaptiveLayers = null; // { maxDeviation } when bubble layers follow the surface slope
+        this.packing = 'square'; // One of PACKING_MODES
+        this.surfaceSizes = null; // Smaller radii used near the surface in multi-size mode
+        this.shell = null; // { walls, solidLayers, infillSpacing } in hollow mode
+        this.supports = null; // { style, radius, density, interfaceGap } when support bubbles are added
+        this.adhesion = null; // { type: 'raft', layers, margin } or { type: 'brim', rings }
+        this.ordering = null; // One of ORDERING_STRATEGIES, null keeps the generated order
     }
 
     /**
-     * Generates a merged BufferGeometry of bubbles based on the input mesh.
-     * @param {THREE.Object3D} mesh - The reference mesh to voxelize
-     * @param {number} radius - Radius of bubbles
-     * @param {number} overlapV - Vertical overlap percentage (0-70)
-     * @param {number} overlapH - Horizontal overlap percentage (0-70)
-     * @param {number} baseFlattenPercent - How much of the first layer spheres is flattened (0-100)
-     * @returns {THREE.BufferGeometry|null}
+     * Sets how the bubbles of every layer are ordered for deposition (null keeps the
+     * generated order).
+     * @param {string|null} strategy - 'serpentine', 'nearest', 'spiral-in' or 'spiral-out'
      */
-    generateGeometry(mesh, radius, overlapV = 0, overlapH = 0, baseFlattenPercent = 50) {
-        console.log(`[BubbleGenerator] Generating Version 24 (Absolute Stability): radius ${radius}, overlapV ${overlapV}%, overlapH ${overlapH}%, baseFlatten ${baseFlattenPercent}%`);
-        this.bubbleSize = radius;
-
-        const geometries = [];
-
-        // 1. Calculate Bounds
-        mesh.updateMatrixWorld(true);
-        const box = new THREE.Box3().setFromObject(mesh);
-        const minZ = box.min.z;
-        const maxZ = box.max.z;
-
-        // Calculate steps based on overlap
-        const overlapFactorV = 1 - (overlapV / 100);
-        const layerStep = (radius * 2) * overlapFactorV;
-
-        const overlapFactorH = 1 - (overlapH / 100);
-        const horizontalStep = (radius * 2) * overlapFactorH;
-
-        // Base Flattening Logic:
-        const thetaLength = Math.PI * (1 - (Math.max(0, Math.min(100, baseFlattenPercent)) / 100));
-
-        // Calculate the base translation so the cut face sits exactly at minZ.
-        const baseZOffset = - (radius * Math.cos(thetaLength));
-        const centerZ0 = minZ + baseZOffset;
-
-        console.log(`[BubbleGenerator] baseFlatten=${baseFlattenPercent}%, centerZ0=${centerZ0.toFixed(3)}`);
-
-        let layerIndex = 0;
-
-        // Loop until we reach the top of the model
-        while (true) {
-            const centerZ = centerZ0 + layerIndex * layerStep;
-
-            // If the bottom of the current bubble is above maxZ, we stop.
-            if (centerZ - radius > maxZ) break;
-
-            // Define a sampling height for the mesh contours.
-            // We sample at centerZ, but clamp it to be slightly inside the mesh bounds.
-            let sampleZ = Math.min(maxZ - 0.01, Math.max(minZ + 0.01, centerZ));
-
-            const contours = getSliceContours(mesh, sampleZ);
-
-            if (contours.length > 0) {
-                const points = this.getGridPointsInContours(contours, box, horizontalStep);
+    setOrdering(strategy) {
+        if (strategy && !ORDERING_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown ordering strategy: ${strategy}`);
+        }
+        this.ordering = strategy || null;
+    }
 
-                points.forEach(p => {
-                    const matrix = new THREE.Matrix4().makeTranslation(p.x, p.y, centerZ);
+    /**
+     * Sets the bed adhesion aid (null for none): raft layers under the model or
+     * brim rings around its first layer.
+     * @param {{type: string, layers?: number, margin?: number, rings?: number}|null} options -
+     *   Raft layer count and margin in mm, or brim ring count
+     */
+    setAdhesion(options) {
+        if (options && !ADHESION_TYPES.includes(options.type)) {
+            throw new Error(`Unknown bed adhesion type: ${options.type}`);
+        }
+        this.adhesion = options ? { ...options } : null;
+    }
 
-                    let geo;
-                    if (layerIndex === 0) {
-                        geo = new THREE.SphereGeometry(radius, 16, 12, 0, Math.PI * 2, 0, thetaLength);
-                    } else {
-                        geo = new THREE.SphereGeometry(radius, 16, 12);
-                    }
+    /**
+     * Enables support bubbles under unsupported model bubbles (null for none).
+     * @param {{style: string, radius: number, density: number, interfaceGap: number}|null} options
+     */
+    setSupports(options) {
+        if (options && !SUPPORT_STYLES.includes(options.style)) {
+            throw new Error(`Unknown support style: ${options.style}`);
+        }
+        this.supports = options ? { ...options } : null;
+    }
 
-                    // Rotate ALL spheres so poles are on the Z axis (Vertical).
-                    geo.rotateX(Math.PI / 2);
+    /**
+     * Enables hollow (shell) mode (null fills the whole cross-section).
+     * @param {{walls: number, solidLayers: number, infillSpacing: number}|null} options -
+     *   Wall thickness in bubbles, solid top/bottom layers, infill rib spacing in bubbles (0 = none)
+     */
+    setShell(options) {
+        this.shell = options ? { ...options } : null;
+    }
 
-                    geometries.push(geo.clone().applyMatrix4(matrix));
-                });
-            }
+    /**
+     * Enables multi-size mode: the radius passed to generate() fills the core and the
+     * given smaller radii fill towards the surface (null for single-size bubbles).
+     * @param {Array<number>|null} radii - Radii in mm
+     */
+    setSurfaceSizes(radii) {
+        this.surfaceSizes = radii && radii.length > 0 ? [...radii] : null;
+    }
 
-            layerIndex++;
-            // Safety break
-            if (layerIndex > 700) break;
+    /**
+     * Sets how bubbles are packed in-plane and stacked between layers.
+     * @param {string} packing - 'square', 'hex', 'fcc' or 'hcp'
+     */
+    setPacking(packing) {
+        if (!PACKING_MODES.includes(packing)) {
+            throw new Error(`Unknown packing mode: ${packing}`);
         }
+        this.packing = packing;
+    }
 
-        if (geometries.length > 0) {
-            console.log(`[BubbleGenerator] Merged ${geometries.length} bubbles.`);
-            return BufferGeometryUtils.mergeGeometries(geometries);
-        } else {
-            console.warn('[BubbleGenerator] No bubbles generated.');
-            return null;
-        }
+    /**
+     * Enables adaptive bubble layer spacing (null for uniform layers).
+     * @param {{maxDeviation: number}|null} options
+     */
+    setAdaptiveLayers(options) {
+        this.adaptiveLayers = options ? { ...options } : null;
     }
 
+    /**
+     * Returns the bubble model of the last generation.
+     * @returns {BubbleModel|null}
+     */
+    getModel() {
+        return this.model;
+    }
 
     /**
-     * Returns grid points (x, y) that are inside the contours.
-     * Truly absolute world-grid anchored at (0,0).
+     * Places the bubbles layer by layer and returns them as a BubbleModel.
+     * Runs on the calling thread; see generateAsync for the worker version.
+     * Rendering is done separately with InstancedMesh (see bubble_renderer.js).
+     * @param {THREE.Object3D} mesh - The reference mesh to voxelize
+     * @param {number} radius - Radius of bubbles
+     * @param {number} overlapV - Vertical overlap percentage (0-70)
+     * @param {number} overlapH - Horizontal overlap percentage (0-70)
+     * @param {number} baseFlattenPercent - How much of the first layer spheres is flattened (0-100)
+     * @returns {BubbleModel}
      */
-    getGridPointsInContours(contours, box, spacing) {
-        const points = [];
+    generate(mesh, radius, overlapV = 0, overlapH = 0, baseFlattenPercent = 50) {
+        console.log(`[BubbleGenerator] Generating Version 24 (Absolute Stability): radius ${radius}, overlapV ${overlapV}%, overlapH ${overlapH}%, baseFlatten ${baseFlattenPercent}%, packing ${this.packing}`);
+        this.bubbleSize = radius;
+
+        const bounds = getBounds(mesh);
+        const settings = this._getSettings(radius, overlapV, overlapH, baseFlattenPercent);
+        const slopeProfile = getBubbleSlopeProfile(getObjectSliceIndices(mesh), settings);
+        this.model = buildBubbleModel(bounds, settings, heights => layerCache.getLayers(mesh, heights), null, slopeProfile);
+        return this.model;
+    }
 
-        // Find the range of indices 'n' that cover the bounding box relative to (0,0).
-        const startN = Math.floor((box.min.x - (spacing / 2)) / spacing);
-        const endN = Math.ceil((box.max.x - (spacing / 2)) / spacing);
+    /**
+     * Same as generate, but slices and places the bubbles in a Web Worker so the UI
+     * stays responsive. Starting a new generation cancels the running one, like any
+     * job of the shared bubble worker (slider slicing included).
+     * Contours already in the layer cache are sent along instead of the triangles;
+     * contours the worker slices are posted back into the cache.
+     * Falls back to generate() where workers are not available.
+     * @param {THREE.Object3D} mesh
+     * @param {number} radius
+     * @param {number} overlapV
+     * @param {number} overlapH
+     * @param {number} baseFlattenPercent
+     * @param {function({phase: string, layer: number, layerCount: number}): void} [onProgress]
+     * @returns {Promise<BubbleModel>} Rejects with an AbortError when cancelled
+     */
+    generateAsync(mesh, radius, overlapV = 0, overlapH = 0, baseFlattenPercent = 50, onProgress = null) {
+        this.cancel();
 
-        const startM = Math.floor((box.min.y - (spacing / 2)) / spacing);
-        const endM = Math.ceil((box.max.y - (spacing / 2)) / spacing);
+        if (!bubbleWorker.isAvailable()) {
+            return Promise.resolve(this.generate(mesh, radius, overlapV, overlapH, baseFlattenPercent));
+        }
 
-        for (let n = startN; n <= endN; n++) {
-            const x = n * spacing + (spacing / 2);
-            for (let m = startM; m <= endM; m++) {
-                const y = m * spacing + (spacing / 2);
+        console.log(`[BubbleGenerator] Generating in worker: radius ${radius}, overlapV ${overlapV}%, overlapH ${overlapH}%, baseFlatten ${baseFlattenPercent}%, packing ${this.packing}`);
+        this.bubbleSize = radius;
 
-                // Check if (x,y) is inside any contour
-                if (this.isPointInContours(x, y, contours)) {
-                    points.push({ x, y });
+        const bounds = getBounds(mesh);
+        const indices = getObjectSliceIndices(mesh);
+        const settings = this._getSettings(radius, overlapV, overlapH, baseFlattenPercent);
+        // The sample heights (and the slope profile adaptive layers need for them) decide the cache key
+        const slopeProfile = getBubbleSlopeProfile(indices, settings);
+        const cacheKey = layerCache.getKey(mesh, getSampleHeights(bounds, settings, slopeProfile));
+        const cached = layerCache.peek(cacheKey);
+        const layers = cached ? cached.layers : null;
+        if (cached) console.log(`[BubbleGenerator] Reusing ${layers.length} cached contour layers.`);
+
+        const { jobId, promise } = bubbleWorker.run(
+            { type: 'generate', layers, bounds, settings, slopeProfile },
+            layers ? null : indices,
+            (message) => {
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message);
+                } else if (message.type === 'layers') {
+                    layerCache.store(cacheKey, { layers: message.layers, report: message.report });
                 }
             }
+        );
+        this.jobId = jobId;
+
+        return promise.then(({ model }) => {
+            this.model = BubbleModel.fromTransfer(model);
+            console.log(`[BubbleGenerator] Worker placed ${this.model.bubbleCount} bubbles in ${this.model.layerCount} layers.`);
+            return this.model;
+        });
+    }
+
+    _getSettings(radius, overlapV, overlapH, baseFlattenPercent) {
+        const settings = { radius, overlapV, overlapH, baseFlattenPercent, packing: this.packing };
+        if (this.adaptiveLayers) {
+            settings.adaptive = { ...this.adaptiveLayers };
+        }
+        if (this.surfaceSizes) {
+            settings.sizes = [...this.surfaceSizes];
+        }
+        if (this.shell) {
+            settings.shell = { ...this.shell };
         }
-        return points;
+        if (this.adhesion) {
+            settings.adhesion = { ...this.adhesion };
+        }
+        if (this.supports) {
+            settings.supports = { ...this.supports };
+        }
+        if (this.ordering) {
+            settings.ordering = this.ordering;
+        }
+        return settings;
     }
 
     /**
-     * Ray casting algorithm to check if point is inside contours.
+     * Cancels the running worker generation (if any). Its promise rejects with an AbortError.
      */
-    isPointInContours(x, y, contours) {
-        let inside = false;
-        for (const polygon of contours) {
-            // polygon is array of [x, y]
-            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-                const xi = polygon[i][0], yi = polygon[i][1];
-                const xj = polygon[j][0], yj = polygon[j][1];
-
-                const intersect = ((yi > y) !== (yj > y)) &&
-                    (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-                if (intersect) inside = !inside;
-            }
-        }
-        return inside;
+    cancel() {
+        if (this.jobId === null || !bubbleWorker.isRunning(this.jobId)) return;
+
+        bubbleWorker.cancel(this.jobId);
+        console.log('[BubbleGenerator] Cancelled running generation.');
     }
 }
+
+/**
+ * World bounds of an object as plain data (posted to the worker).
+ * @param {THREE.Object3D} mesh
+ * @returns {{min: {x, y, z}, max: {x, y, z}}}
+ */
+function getBounds(mesh) {
+    mesh.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(mesh);
+    return {
+        min: { x: box.min.x, y: box.min.y, z: box.min.z },
+        max: { x: box.max.x, y: box.max.y, z: box.max.z }
+    };
+}
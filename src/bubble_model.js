@@ -0,0 +1,343 @@
+/**
+ * Structured bubble model: the single source of truth for a bubble build.
+ * Bubbles are grouped per layer, in deposition order, and keep their id,
+ * center, radius and base-cut info so export, statistics and previews can
+ * all query the same data instead of the merged render geometry.
+ */
+// Numbers per bubble in the packed (transfer) format
+const BUBBLE_STRIDE = 8;
+// Numbers per layer in the packed (transfer) format
+const LAYER_STRIDE = 3;
+// Bubble types: model bubbles form the part; support, raft and brim bubbles are removed after printing
+export const BUBBLE_TYPES = ['model', 'support', 'raft', 'brim'];
+// Layer types: raft layers are printed under the model layers
+export const LAYER_TYPES = ['model', 'raft'];
+
+export class BubbleModel {
+    /**
+     * @param {Object} settings - Generation settings (radius, overlapV, overlapH, baseFlattenPercent)
+     */
+    constructor(settings = {}) {
+        this.settings = { ...settings };
+        this.layers = []; // Array<{ index, z, sampleZ, type, bubbles: Array<Bubble> }>
+        this.bubbles = []; // Flat list indexed by bubble id
+        this._spatialHash = null;
+        this._zBuckets = null;
+    }
+
+    /**
+     * Appends a new (empty) layer.
+     * @param {number} z - Bubble center height of this layer
+     * @param {number} sampleZ - Height at which the mesh contours were sampled
+     * @param {string} type - One of LAYER_TYPES
+     * @returns {Object} The layer record
+     */
+    addLayer(z, sampleZ = z, type = 'model') {
+        const layer = { index: this.layers.length, z, sampleZ, type, bubbles: [] };
+        this.layers.push(layer);
+        return layer;
+    }
+
+    /**
+     * Adds a bubble to a layer.
+     * @param {number} layerIndex
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {number} radius
+     * @param {{thetaLength: number, cutZ: number}|null} cut - Base cut of a flattened bubble, null for full spheres
+     * @param {string} type - One of BUBBLE_TYPES
+     * @returns {Object} The bubble record
+     */
+    addBubble(layerIndex, x, y, z, radius, cut = null, type = 'model') {
+        const layer = this.layers[layerIndex];
+        if (!layer) {
+            throw new Error(`BubbleModel: layer ${layerIndex} does not exist`);
+        }
+
+        const bubble = {
+            id: this.bubbles.length,
+            layer: layerIndex,
+            x,
+            y,
+            z,
+            radius,
+            cut,
+            type
+        };
+
+        layer.bubbles.push(bubble);
+        this.bubbles.push(bubble);
+        this._spatialHash = null; // Invalidate neighbor lookup
+        this._zBuckets = null; // ...and slicing lookup
+        return bubble;
+    }
+
+    /**
+     * Sets the deposition order of the bubbles of a layer.
+     * @param {number} layerIndex
+     * @param {Array<Object>} bubbles - The bubbles of the layer, reordered
+     */
+    setLayerOrder(layerIndex, bubbles) {
+        const layer = this.layers[layerIndex];
+        if (!layer || bubbles.length !== layer.bubbles.length || bubbles.some(b => b.layer !== layerIndex)) {
+            throw new Error(`BubbleModel: invalid bubble order for layer ${layerIndex}`);
+        }
+        layer.bubbles = [...bubbles];
+        this._zBuckets = null; // Buckets keep the deposition order
+    }
+
+    get bubbleCount() {
+        return this.bubbles.length;
+    }
+
+    /**
+     * Number of sacrificial support bubbles.
+     */
+    get supportCount() {
+        return this.countBubbles('support');
+    }
+
+    /**
+     * Number of bubbles of one type.
+     * @param {string} type - One of BUBBLE_TYPES
+     * @returns {number}
+     */
+    countBubbles(type) {
+        return this.bubbles.filter(b => b.type === type).length;
+    }
+
+    get layerCount() {
+        return this.layers.length;
+    }
+
+    getLayer(index) {
+        return this.layers[index] || null;
+    }
+
+    getBubble(id) {
+        return this.bubbles[id] || null;
+    }
+
+    /**
+     * Returns the layers that actually contain bubbles.
+     * @returns {Array<Object>}
+     */
+    getNonEmptyLayers() {
+        return this.layers.filter(layer => layer.bubbles.length > 0);
+    }
+
+    /**
+     * Number of bubbles of each radius, largest first.
+     * @returns {Array<{radius: number, count: number}>}
+     */
+    getSizeCounts() {
+        const counts = new Map();
+        this.bubbles.forEach(b => {
+            counts.set(b.radius, (counts.get(b.radius) || 0) + 1);
+        });
+        return [...counts.entries()]
+            .map(([radius, count]) => ({ radius, count }))
+            .sort((a, b) => b.radius - a.radius);
+    }
+
+    /**
+     * World-space bounds of all bubbles (including their radius).
+     * @returns {{min: {x, y, z}, max: {x, y, z}}|null}
+     */
+    getBounds() {
+        if (this.bubbles.length === 0) return null;
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+        this.bubbles.forEach(b => {
+            min.x = Math.min(min.x, b.x - b.radius);
+            min.y = Math.min(min.y, b.y - b.radius);
+            min.z = Math.min(min.z, b.cut ? b.cut.cutZ : b.z - b.radius);
+            max.x = Math.max(max.x, b.x + b.radius);
+            max.y = Math.max(max.y, b.y + b.radius);
+            max.z = Math.max(max.z, b.z + b.radius);
+        });
+
+        return { min, max };
+    }
+
+    /**
+     * Cross-section of the bubbles with the plane Z = z, as circle polygons.
+     * Flattened bubbles contribute nothing below their cut. Only the bubbles bucketed
+     * near z are visited, so slicing many heights does not cost heights x bubbles.
+     * @param {number} z
+     * @param {number} segments - Points per circle
+     * @param {function(Object): boolean} [filter] - Only slice the bubbles it accepts
+     * @returns {Array<Array<[number, number]>>}
+     */
+    getSliceContours(z, segments = 24, filter = null) {
+        const polygons = [];
+        const { buckets, cellSize, maxRadius } = this._getZBuckets();
+
+        const first = Math.floor((z - maxRadius) / cellSize);
+        const last = Math.floor((z + maxRadius) / cellSize);
+        for (let k = first; k <= last; k++) {
+            const bucket = buckets.get(k);
+            if (!bucket) continue;
+
+            bucket.forEach(b => {
+                if (filter && !filter(b)) return;
+                const dz = z - b.z;
+                if (Math.abs(dz) >= b.radius) return;
+                if (b.cut && z < b.cut.cutZ) return;
+
+                const r = Math.sqrt(b.radius * b.radius - dz * dz);
+                const polygon = [];
+                for (let i = 0; i < segments; i++) {
+                    const a = (i / segments) * Math.PI * 2;
+                    polygon.push([b.x + r * Math.cos(a), b.y + r * Math.sin(a)]);
+                }
+                polygons.push(polygon);
+            });
+        }
+
+        return polygons;
+    }
+
+    /**
+     * Returns the bubbles whose spheres touch or overlap the given bubble.
+     * @param {number} id - Bubble id
+     * @param {number} tolerance - Extra distance still counted as touching
+     * @returns {Array<Object>}
+     */
+    getNeighbors(id, tolerance = 1e-6) {
+        const bubble = this.getBubble(id);
+        if (!bubble) return [];
+
+        const hash = this._getSpatialHash();
+        const reach = bubble.radius + hash.maxRadius + tolerance;
+        const cells = Math.ceil(reach / hash.cellSize);
+        const [cx, cy, cz] = hash.cellOf(bubble.x, bubble.y, bubble.z);
+
+        const neighbors = [];
+        for (let i = cx - cells; i <= cx + cells; i++) {
+            for (let j = cy - cells; j <= cy + cells; j++) {
+                for (let k = cz - cells; k <= cz + cells; k++) {
+                    const bucket = hash.cells.get(`${i},${j},${k}`);
+                    if (!bucket) continue;
+
+                    for (const other of bucket) {
+                        if (other.id === bubble.id) continue;
+                        const dx = other.x - bubble.x;
+                        const dy = other.y - bubble.y;
+                        const dz = other.z - bubble.z;
+                        const limit = bubble.radius + other.radius + tolerance;
+                        if (dx * dx + dy * dy + dz * dz <= limit * limit) {
+                            neighbors.push(other);
+                        }
+                    }
+                }
+            }
+        }
+        return neighbors;
+    }
+
+    /**
+     * Packs the model into typed arrays so it can be posted between threads
+     * with its buffers transferred instead of copied. Bubbles are packed in deposition
+     * order, so the rebuilt model numbers them in that order.
+     * Layer record: z, sampleZ, type index.
+     * Bubble record: layer, x, y, z, radius, cut thetaLength, cut Z (NaN when uncut), type index.
+     * @returns {{data: Object, transfer: Array<ArrayBuffer>}}
+     */
+    toTransfer() {
+        const layers = new Float64Array(this.layers.length * LAYER_STRIDE);
+        this.layers.forEach((layer, i) => {
+            layers.set([layer.z, layer.sampleZ, LAYER_TYPES.indexOf(layer.type)], i * LAYER_STRIDE);
+        });
+
+        const bubbles = new Float64Array(this.bubbles.length * BUBBLE_STRIDE);
+        this.layers.flatMap(layer => layer.bubbles).forEach((b, i) => {
+            bubbles.set([
+                b.layer, b.x, b.y, b.z, b.radius,
+                b.cut ? b.cut.thetaLength : NaN,
+                b.cut ? b.cut.cutZ : NaN,
+                BUBBLE_TYPES.indexOf(b.type)
+            ], i * BUBBLE_STRIDE);
+        });
+
+        return {
+            data: { settings: this.settings, layers, bubbles },
+            transfer: [layers.buffer, bubbles.buffer]
+        };
+    }
+
+    /**
+     * Rebuilds a model packed with toTransfer().
+     * @param {{settings: Object, layers: Float64Array, bubbles: Float64Array}} data
+     * @returns {BubbleModel}
+     */
+    static fromTransfer(data) {
+        const model = new BubbleModel(data.settings);
+        for (let i = 0; i < data.layers.length; i += LAYER_STRIDE) {
+            model.addLayer(data.layers[i], data.layers[i + 1], LAYER_TYPES[data.layers[i + 2]]);
+        }
+
+        // Bubbles of one layer share their cut object, as when generated directly
+        const cuts = new Map();
+        for (let i = 0; i < data.bubbles.length; i += BUBBLE_STRIDE) {
+            const [layer, x, y, z, radius, thetaLength, cutZ, type] = data.bubbles.subarray(i, i + BUBBLE_STRIDE);
+            let cut = null;
+            if (!Number.isNaN(thetaLength)) {
+                const key = `${thetaLength},${cutZ}`;
+                if (!cuts.has(key)) cuts.set(key, { thetaLength, cutZ });
+                cut = cuts.get(key);
+            }
+            model.addBubble(layer, x, y, z, radius, cut, BUBBLE_TYPES[type]);
+        }
+        return model;
+    }
+
+    /**
+     * Lazily builds a uniform grid over bubble centers for neighbor queries.
+     */
+    _getSpatialHash() {
+        if (this._spatialHash) return this._spatialHash;
+
+        const maxRadius = this.bubbles.reduce((m, b) => Math.max(m, b.radius), 0);
+        const cellSize = Math.max(maxRadius * 2, 1e-6);
+        const cellOf = (x, y, z) => [
+            Math.floor(x / cellSize),
+            Math.floor(y / cellSize),
+            Math.floor(z / cellSize)
+        ];
+
+        const cells = new Map();
+        this.bubbles.forEach(b => {
+            const key = cellOf(b.x, b.y, b.z).join(',');
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(b);
+        });
+
+        this._spatialHash = { cells, cellSize, cellOf, maxRadius };
+        return this._spatialHash;
+    }
+
+    /**
+     * Lazily buckets the bubbles by center height (one bubble diameter per bucket),
+     * in deposition order, for slicing.
+     */
+    _getZBuckets() {
+        if (this._zBuckets) return this._zBuckets;
+
+        const maxRadius = this.bubbles.reduce((m, b) => Math.max(m, b.radius), 0);
+        const cellSize = Math.max(maxRadius * 2, 1e-6);
+
+        const buckets = new Map();
+        this.layers.forEach(layer => layer.bubbles.forEach(b => {
+            const k = Math.floor(b.z / cellSize);
+            if (!buckets.has(k)) buckets.set(k, []);
+            buckets.get(k).push(b);
+        }));
+
+        this._zBuckets = { buckets, cellSize, maxRadius };
+        return this._zBuckets;
+    }
+}
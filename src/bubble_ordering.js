@@ -0,0 +1,283 @@
+/**
+ * Deposition order of the bubbles within each layer (no three.js, also run by the bubble worker).
+ * The order decides how far the machine travels between bubbles:
+ *   - serpentine: column by column along Y, reversing direction every column
+ *   - nearest: greedy nearest neighbour, then improved with 2-opt moves
+ *   - spiral-in / spiral-out: one continuous spiral around the layer center,
+ *     from the outside in or from the inside out
+ * Serpentine and nearest start each layer close to where the previous one ended.
+ * Bubbles of one layer at different heights (sub-layers of smaller sizes, supports) or of
+ * different types (the brim before the model) are ordered as separate groups, which keep
+ * their generated order.
+ */
+
+export const ORDERING_STRATEGIES = ['serpentine', 'nearest', 'spiral-in', 'spiral-out'];
+
+const EPSILON = 1e-6;
+const COLUMN_TOLERANCE = 1e-3; // Bubbles closer than this in X share a serpentine column (mm)
+const NEIGHBOR_CANDIDATES = 8; // 2-opt only reconnects a bubble to its nearest bubbles
+const MAX_TWO_OPT_PASSES = 10;
+
+/**
+ * Reorders the bubbles of every layer of a model.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {string} strategy - One of ORDERING_STRATEGIES
+ * @returns {number} Total travel distance in mm (see getTravelDistance)
+ */
+export function orderBubbleModel(model, strategy) {
+    if (!ORDERING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown ordering strategy: ${strategy}`);
+    }
+
+    let last = null;
+    model.layers.forEach(layer => {
+        const ordered = [];
+        getGroups(layer.bubbles).forEach(group => {
+            const path = orderGroup(group, strategy, last);
+            ordered.push(...path);
+            last = path[path.length - 1];
+        });
+        model.setLayerOrder(layer.index, ordered);
+    });
+
+    const travel = getTravelDistance(model);
+    console.log(`[Ordering] ${strategy}: ${travel.toFixed(1)} mm of travel.`);
+    return travel;
+}
+
+/**
+ * Distance travelled from bubble center to bubble center, in deposition order
+ * (including the moves between layers).
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @returns {number} mm
+ */
+export function getTravelDistance(model) {
+    let total = 0;
+    let last = null;
+    model.layers.forEach(layer => {
+        layer.bubbles.forEach(b => {
+            if (last) total += Math.hypot(b.x - last.x, b.y - last.y, b.z - last.z);
+            last = b;
+        });
+    });
+    return total;
+}
+
+/**
+ * Splits the bubbles of a layer by type and height, in order of first appearance.
+ * @returns {Array<Array<Object>>}
+ */
+function getGroups(bubbles) {
+    const groups = new Map();
+    bubbles.forEach(b => {
+        const key = `${b.type}:${Math.round(b.z / EPSILON)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(b);
+    });
+    return [...groups.values()];
+}
+
+function orderGroup(bubbles, strategy, start) {
+    if (bubbles.length < 2) return [...bubbles];
+    if (strategy === 'serpentine') return orderSerpentine(bubbles, start);
+    if (strategy === 'nearest') return orderNearest(bubbles, start);
+
+    const outward = orderSpiral(bubbles);
+    return strategy === 'spiral-in' ? outward.reverse() : outward;
+}
+
+function getDistance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Serpentine raster over the lattice columns, run in whichever of its four
+ * directions starts closest to start.
+ */
+function orderSerpentine(bubbles, start) {
+    const columns = [];
+    [...bubbles].sort((a, b) => a.x - b.x || a.y - b.y).forEach(b => {
+        const column = columns[columns.length - 1];
+        if (column && b.x - column[0].x < COLUMN_TOLERANCE) column.push(b);
+        else columns.push([b]);
+    });
+
+    let best = null;
+    for (const reverseColumns of [false, true]) {
+        for (const firstDown of [false, true]) {
+            const path = [];
+            (reverseColumns ? [...columns].reverse() : columns).forEach((column, i) => {
+                path.push(...((i % 2 === 1) !== firstDown ? [...column].reverse() : column));
+            });
+            const distance = start ? getDistance(start, path[0]) : 0;
+            if (!best || distance < best.distance) best = { path, distance };
+        }
+    }
+    return best.path;
+}
+
+/**
+ * Greedy nearest-neighbour path from the bubble closest to start, improved by 2-opt.
+ */
+function orderNearest(bubbles, start) {
+    const index = createPointIndex(bubbles);
+    const neighbors = new Map(bubbles.map((b, i) => [b, index.getNeighbors(i, NEIGHBOR_CANDIDATES).map(j => bubbles[j])]));
+    const path = [];
+
+    let current = start ? index.nearest(start.x, start.y) : 0;
+    while (current !== -1) {
+        index.remove(current);
+        path.push(bubbles[current]);
+        current = index.nearest(bubbles[current].x, bubbles[current].y);
+    }
+
+    improveTwoOpt(path, neighbors);
+    return path;
+}
+
+/**
+ * 2-opt on an open path with a fixed first bubble: reverses a section of the path
+ * whenever reconnecting a bubble to one of its nearest bubbles shortens the path.
+ * @param {Array<Object>} path - Reordered in place
+ * @param {Map<Object, Array<Object>>} neighbors - Nearest bubbles of every bubble
+ */
+function improveTwoOpt(path, neighbors) {
+    const n = path.length;
+    const position = new Map(path.map((b, i) => [b, i]));
+
+    const reverse = (from, to) => {
+        for (; from < to; from++, to--) {
+            [path[from], path[to]] = [path[to], path[from]];
+            position.set(path[from], from);
+            position.set(path[to], to);
+        }
+    };
+
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+        let improved = false;
+        for (let i = 0; i < n - 1; i++) {
+            for (const c of neighbors.get(path[i])) {
+                const a = path[i];
+                const b = path[i + 1];
+                const j = position.get(c);
+                let gain = 0;
+                if (j === n - 1 && i < n - 2) {
+                    // Reverse the tail: a -> last, the old next bubble becomes the end
+                    gain = getDistance(a, b) - getDistance(a, c);
+                    if (gain > EPSILON) reverse(i + 1, j);
+                } else if (j > i + 1) {
+                    // a -> c and b -> d instead of a -> b and c -> d
+                    const d = path[j + 1];
+                    gain = getDistance(a, b) + getDistance(c, d) - getDistance(a, c) - getDistance(b, d);
+                    if (gain > EPSILON) reverse(i + 1, j);
+                } else if (j < i - 1) {
+                    // c -> a and c' -> b instead of c -> c' and a -> b
+                    const next = path[j + 1];
+                    gain = getDistance(c, next) + getDistance(a, b) - getDistance(c, a) - getDistance(next, b);
+                    if (gain > EPSILON) reverse(j + 1, i);
+                }
+                if (gain > EPSILON) {
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        if (!improved) break;
+    }
+}
+
+/**
+ * Orders bubbles along an Archimedean spiral around their centroid, one turn per
+ * bubble width, from the inside out.
+ */
+function orderSpiral(bubbles) {
+    const cx = bubbles.reduce((sum, b) => sum + b.x, 0) / bubbles.length;
+    const cy = bubbles.reduce((sum, b) => sum + b.y, 0) / bubbles.length;
+    const pitch = Math.max(EPSILON, 2 * bubbles.reduce((m, b) => Math.max(m, b.radius), 0));
+
+    return bubbles
+        .map(b => {
+            const turn = (Math.atan2(b.y - cy, b.x - cx) + Math.PI) / (2 * Math.PI); // 0..1
+            const radius = Math.hypot(b.x - cx, b.y - cy) / pitch;
+            return { b, radius, position: Math.round(radius - turn) + turn };
+        })
+        .sort((p, q) => p.position - q.position || p.radius - q.radius)
+        .map(p => p.b);
+}
+
+/**
+ * Bubbles of a group bucketed on an XY grid of one bubble width, for nearest-bubble queries.
+ */
+function createPointIndex(bubbles) {
+    const cellSize = Math.max(EPSILON, 2 * bubbles.reduce((m, b) => Math.max(m, b.radius), 0));
+    const cellOf = (v) => Math.floor(v / cellSize);
+    const cells = new Map();
+    let minI = Infinity, maxI = -Infinity, minJ = Infinity, maxJ = -Infinity;
+    bubbles.forEach((b, i) => {
+        const ci = cellOf(b.x), cj = cellOf(b.y);
+        minI = Math.min(minI, ci); maxI = Math.max(maxI, ci);
+        minJ = Math.min(minJ, cj); maxJ = Math.max(maxJ, cj);
+        const key = `${ci},${cj}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+    });
+
+    // Calls fn with the indices of every cell at Chebyshev distance ring from (ci, cj)
+    const forEachInRing = (ci, cj, ring, fn) => {
+        for (let i = ci - ring; i <= ci + ring; i++) {
+            const step = (i === ci - ring || i === ci + ring) ? 1 : 2 * ring;
+            for (let j = cj - ring; j <= cj + ring; j += Math.max(1, step)) {
+                const bucket = cells.get(`${i},${j}`);
+                if (bucket) bucket.forEach(fn);
+            }
+        }
+    };
+
+    return {
+        remove(index) {
+            const b = bubbles[index];
+            const bucket = cells.get(`${cellOf(b.x)},${cellOf(b.y)}`);
+            bucket.splice(bucket.indexOf(index), 1);
+        },
+        /**
+         * Index of the remaining bubble closest to (x, y), -1 when none is left.
+         */
+        nearest(x, y) {
+            const ci = cellOf(x), cj = cellOf(y);
+            const maxRing = Math.max(Math.abs(ci - minI), Math.abs(ci - maxI), Math.abs(cj - minJ), Math.abs(cj - maxJ));
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let ring = 0; ring <= maxRing; ring++) {
+                forEachInRing(ci, cj, ring, index => {
+                    const distance = Math.hypot(bubbles[index].x - x, bubbles[index].y - y);
+                    if (distance < bestDistance) {
+                        best = index;
+                        bestDistance = distance;
+                    }
+                });
+                // Cells further out are at least ring cells away
+                if (best !== -1 && bestDistance <= ring * cellSize) break;
+            }
+            return best;
+        },
+        /**
+         * Up to count bubbles closest to bubble index, within two cells (before any removal).
+         */
+        getNeighbors(index, count) {
+            const b = bubbles[index];
+            const candidates = [];
+            for (let ring = 0; ring <= 2; ring++) {
+                forEachInRing(cellOf(b.x), cellOf(b.y), ring, other => {
+                    if (other !== index) candidates.push(other);
+                });
+            }
+            return candidates
+                .map(other => ({ other, distance: getDistance(b, bubbles[other]) }))
+                .sort((p, q) => p.distance - q.distance)
+                .slice(0, count)
+                .map(p => p.other);
+        }
+    };
+}
@@ -0,0 +1,537 @@
+import { BubbleModel } from './bubble_model.js';
+import { isPointInContourTree, ContourEdgeGrid } from './slice_core.js';
+import { buildSlopeProfile, getAdaptiveStep } from './adaptive_layers.js';
+import { addSupportBubbles } from './support_generator.js';
+import { orderBubbleModel } from './bubble_ordering.js';
+import { DEFAULT_OVERHANG_ANGLE } from './overhang_analysis.js';
+
+/**
+ * Bubble placement pipeline (no three.js), shared by BubbleGenerator on the
+ * main thread and by the bubble worker.
+ */
+
+const MAX_LAYERS = 700; // Safety limit
+const MIN_ADAPTIVE_STEP = 0.5; // Adaptive bubble layers go down to half the nominal step
+
+/**
+ * Bubble packing modes:
+ *   - square: square grid, every layer directly on top of the last
+ *   - hex: hexagonal grid in-plane, layers stacked directly
+ *   - fcc: hexagonal layers staggered ABCABC (face-centered cubic close packing)
+ *   - hcp: hexagonal layers staggered ABAB (hexagonal close packing)
+ * Staggered layers nest into the hollows of the layer below, so their pitch shrinks
+ * to sqrt(2/3) of the bubble spacing.
+ */
+export const PACKING_MODES = ['square', 'hex', 'fcc', 'hcp'];
+const STAGGERED_LAYER_FACTOR = Math.sqrt(2 / 3);
+
+/**
+ * Bed adhesion modes (settings.adhesion.type):
+ *   - raft: layers of core bubbles under the model covering the first-layer footprint
+ *     plus a margin; the model is lifted onto the raft
+ *   - brim: rings of core bubbles around the first-layer contour, in the first layer
+ */
+export const ADHESION_TYPES = ['raft', 'brim'];
+
+/**
+ * Vertical distance between bubble layers for the given settings.
+ * @param {{radius: number, overlapV: number, packing?: string}} settings
+ * @returns {number}
+ */
+export function getLayerStep({ radius, overlapV, packing = 'square' }) {
+    const overlapFactorV = 1 - (overlapV / 100);
+    const factor = (packing === 'fcc' || packing === 'hcp') ? STAGGERED_LAYER_FACTOR : 1;
+    return (radius * 2) * overlapFactorV * factor;
+}
+
+/**
+ * Computes the bubble layer heights for a model of the given bounds.
+ * With settings.adaptive, the step between layers shrinks (more vertical overlap)
+ * where the surface is close to horizontal, down to MIN_ADAPTIVE_STEP of the nominal step.
+ * @param {{min: {z: number}, max: {z: number}}} bounds - World bounds of the model
+ * @param {{radius: number, overlapV: number, baseFlattenPercent: number, packing?: string, adaptive?: {maxDeviation: number}}} settings
+ * @param {Object} [slopeProfile] - Slope profile of the model (see adaptive_layers.js), needed for adaptive layers
+ * @returns {Array<{centerZ: number, sampleZ: number}>}
+ */
+export function getLayerHeights(bounds, settings, slopeProfile = null) {
+    const { radius, baseFlattenPercent } = settings;
+    const minZ = bounds.min.z;
+    const maxZ = bounds.max.z;
+
+    // Calculate steps based on overlap and packing
+    const layerStep = getLayerStep(settings);
+
+    // Calculate the base translation so the cut face sits exactly at minZ.
+    const baseZOffset = - (radius * Math.cos(getThetaLength(baseFlattenPercent)));
+    const centerZ0 = minZ + baseZOffset;
+
+    console.log(`[BubbleGenerator] baseFlatten=${baseFlattenPercent}%, centerZ0=${centerZ0.toFixed(3)}`);
+
+    const adaptive = settings.adaptive && slopeProfile ? settings.adaptive : null;
+
+    // Layer heights: up to the layer whose bubble bottom clears the top of the model
+    const layerHeights = [];
+    let centerZ = centerZ0;
+    for (let layerIndex = 0; layerIndex <= MAX_LAYERS; layerIndex++) {
+        if (adaptive && layerIndex > 0) {
+            centerZ += getAdaptiveStep(slopeProfile, centerZ, layerStep * MIN_ADAPTIVE_STEP, layerStep, adaptive.maxDeviation);
+        } else if (!adaptive) {
+            centerZ = centerZ0 + layerIndex * layerStep;
+        }
+
+        // If the bottom of the current bubble is above maxZ, we stop.
+        if (centerZ - radius > maxZ) break;
+
+        // Define a sampling height for the mesh contours.
+        // We sample at centerZ, but clamp it to be slightly inside the mesh bounds.
+        const sampleZ = Math.min(maxZ - 0.01, Math.max(minZ + 0.01, centerZ));
+        layerHeights.push({ centerZ, sampleZ });
+    }
+    return layerHeights;
+}
+
+/**
+ * Builds the slope profile needed for adaptive bubble layers, or null when they are off.
+ * @param {Array<TriangleSliceIndex>} indices - World-space triangles of the model
+ * @param {Object} settings - Generation settings (radius, adaptive)
+ * @returns {Object|null}
+ */
+export function getBubbleSlopeProfile(indices, settings) {
+    if (!settings.adaptive) return null;
+    // Resolution well below the smallest adaptive step
+    return buildSlopeProfile(indices, settings.radius * MIN_ADAPTIVE_STEP / 4);
+}
+
+/**
+ * Base Flattening Logic: polar extent of the first layer spheres.
+ * @param {number} baseFlattenPercent
+ * @returns {number} thetaLength in radians (PI = full sphere)
+ */
+function getThetaLength(baseFlattenPercent) {
+    return Math.PI * (1 - (Math.max(0, Math.min(100, baseFlattenPercent)) / 100));
+}
+
+/**
+ * Bubble radii of a generation, largest first. settings.sizes (multi-size mode) adds
+ * smaller surface sizes to the core radius.
+ * @param {{radius: number, sizes?: Array<number>}} settings
+ * @returns {Array<number>}
+ */
+export function getBubbleSizes({ radius, sizes = null }) {
+    const smaller = (sizes || []).filter(r => r > 0 && r < radius);
+    return [radius, ...new Set(smaller)].sort((a, b) => b - a);
+}
+
+/**
+ * Placement passes of every layer: one per bubble size, and for the smaller sizes
+ * one per sub-layer so they keep their own vertical pitch between the core layers.
+ * @returns {Array<Array<{size: number, radius: number, z: number, sampleZ: number, stack: number}>>}
+ */
+function getLayerPasses(layerHeights, sizes, settings, bounds) {
+    const minZ = bounds.min.z;
+    const maxZ = bounds.max.z;
+    const coreStep = getLayerStep(settings);
+
+    return layerHeights.map(({ centerZ, sampleZ }, layerIndex) => {
+        const passes = [{ size: 0, radius: sizes[0], z: centerZ, sampleZ, stack: layerIndex }];
+        const next = layerHeights[layerIndex + 1];
+        const gap = next ? next.centerZ - centerZ : coreStep;
+
+        for (let size = 1; size < sizes.length; size++) {
+            const radius = sizes[size];
+            const subLayers = Math.max(1, Math.round(coreStep / getLayerStep({ ...settings, radius })));
+            for (let j = 0; j < subLayers; j++) {
+                const z = centerZ + j * gap / subLayers;
+                if (z - radius > maxZ) break;
+                passes.push({
+                    size,
+                    radius,
+                    z,
+                    sampleZ: Math.min(maxZ - 0.01, Math.max(minZ + 0.01, z)),
+                    stack: layerIndex * subLayers + j
+                });
+            }
+        }
+        return passes;
+    });
+}
+
+/**
+ * Heights at which buildBubbleModel samples the model contours (the heights passed
+ * to its sliceHeights), so callers can look the pass up in the layer cache first.
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - World bounds of the model
+ * @param {Object} settings - Generation settings (see buildBubbleModel)
+ * @param {Object} [slopeProfile] - Slope profile for adaptive layers (see getLayerHeights)
+ * @returns {Array<number>}
+ */
+export function getSampleHeights(bounds, settings, slopeProfile = null) {
+    const layerHeights = getLayerHeights(bounds, settings, slopeProfile);
+    return getLayerPasses(layerHeights, getBubbleSizes(settings), settings, bounds).flat().map(pass => pass.sampleZ);
+}
+
+/**
+ * Base cut of a first-layer bubble against the bed, null when it clears the bed.
+ * @returns {{thetaLength: number, cutZ: number}|null|false} false when the bubble is entirely below the bed
+ */
+function getBedCut(z, radius, cutZ) {
+    const c = (cutZ - z) / radius;
+    if (c <= -1) return null;
+    if (c >= 1) return false;
+    return { thetaLength: Math.acos(c), cutZ };
+}
+
+/**
+ * Uniform grid over placed bubbles, to keep smaller bubbles out of larger ones
+ * and to find what holds them up.
+ */
+function createBubbleGrid(cellSize) {
+    const cells = new Map();
+    const cellOf = (v) => Math.floor(v / cellSize);
+
+    return {
+        add(bubble) {
+            const key = `${cellOf(bubble.x)},${cellOf(bubble.y)},${cellOf(bubble.z)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(bubble);
+        },
+        /**
+         * Whether a bubble at (x, y, z) of the given radius would sink into a larger one
+         * deeper than the overlap allows.
+         */
+        isCovered(x, y, z, radius, overlapFactor) {
+            const ci = cellOf(x), cj = cellOf(y), ck = cellOf(z);
+            for (let i = ci - 1; i <= ci + 1; i++) {
+                for (let j = cj - 1; j <= cj + 1; j++) {
+                    for (let k = ck - 1; k <= ck + 1; k++) {
+                        const bucket = cells.get(`${i},${j},${k}`);
+                        if (!bucket) continue;
+                        for (const b of bucket) {
+                            if (b.radius <= radius) continue;
+                            const limit = (b.radius + radius) * overlapFactor - 1e-6;
+                            const dx = b.x - x, dy = b.y - y, dz = b.z - z;
+                            if (dx * dx + dy * dy + dz * dz < limit * limit) return true;
+                        }
+                    }
+                }
+            }
+            return false;
+        },
+        /**
+         * Whether a bubble at (x, y, z) of the given radius touches a lower bubble within
+         * the overhang cone (see overhang_analysis.js), so it is not inflated in mid-air.
+         */
+        isSupported(x, y, z, radius, coneSlope) {
+            const ci = cellOf(x), cj = cellOf(y), ck = cellOf(z);
+            for (let i = ci - 1; i <= ci + 1; i++) {
+                for (let j = cj - 1; j <= cj + 1; j++) {
+                    for (let k = ck - 1; k <= ck; k++) {
+                        const bucket = cells.get(`${i},${j},${k}`);
+                        if (!bucket) continue;
+                        for (const b of bucket) {
+                            const drop = z - b.z;
+                            if (drop <= 1e-6) continue;
+                            const dx = b.x - x, dy = b.y - y;
+                            const horizontal = Math.sqrt(dx * dx + dy * dy);
+                            const limit = b.radius + radius + 1e-4;
+                            if (horizontal <= drop * coneSlope + 1e-4
+                                && horizontal * horizontal + drop * drop <= limit * limit) return true;
+                        }
+                    }
+                }
+            }
+            return false;
+        }
+    };
+}
+
+/**
+ * Places the bubbles layer by layer and returns them as a BubbleModel.
+ * In multi-size mode (settings.sizes) the core radius fills the interior, where the
+ * boundary is at least one radius away, and each smaller size fills what is left in a
+ * band along the contour (one diameter of the next larger size wide), the smallest one
+ * reaching up to the contour. Smaller bubbles are only placed where they stand on the bed
+ * or on a bubble below them. A size is placed in a layer once every larger size is placed
+ * in the layer above, so it can keep out of all of them.
+ * In shell mode (settings.shell) only the walls, skins and infill ribs are kept.
+ * With settings.adhesion, raft layers go under the model or brim rings around its first layer
+ * (see ADHESION_TYPES); only the lowest layer is cut flat against the bed.
+ * With settings.supports, support bubbles are added under the unsupported ones (see support_generator.js).
+ * With settings.ordering, the bubbles of every layer are reordered last (see bubble_ordering.js).
+ * @param {{min: {x, y, z}, max: {x, y, z}}} bounds - World bounds of the model
+ * @param {{radius: number, overlapV: number, overlapH: number, baseFlattenPercent: number, packing?: string,
+ *   sizes?: Array<number>, shell?: {walls: number, solidLayers: number, infillSpacing: number},
+ *   adhesion?: {type: string, layers?: number, margin?: number, rings?: number},
+ *   supports?: {style: string, radius: number, density: number, interfaceGap: number}, ordering?: string}} settings
+ * @param {function(Array<number>): Array<Array<ContourNode>>} sliceHeights -
+ *   Returns the model contour tree for every given height
+ * @param {function(number, number): void} [onProgress] - Called with (layers placed, layer count)
+ * @param {Object} [slopeProfile] - Slope profile for adaptive layers (see getLayerHeights)
+ * @returns {BubbleModel}
+ */
+export function buildBubbleModel(bounds, settings, sliceHeights, onProgress = null, slopeProfile = null) {
+    const { overlapV, overlapH, baseFlattenPercent, packing = 'square' } = settings;
+    const model = new BubbleModel(settings);
+
+    const overlapFactorH = 1 - (overlapH / 100);
+    const thetaLength = getThetaLength(baseFlattenPercent);
+    const sizes = getBubbleSizes(settings);
+    const smallest = sizes.length - 1;
+    // Smaller bubbles may sink into larger ones as deep as either overlap allows
+    const sizeOverlapFactor = 1 - (Math.max(overlapV, overlapH) / 100);
+    const coneSlope = Math.tan(DEFAULT_OVERHANG_ANGLE * Math.PI / 180);
+    const grid = smallest > 0 ? createBubbleGrid(sizes[0] * 2) : null;
+    const cuts = new Map();
+    const bedCut = baseFlattenPercent > 0 ? { thetaLength, cutZ: bounds.min.z } : null;
+
+    const layerHeights = getLayerHeights(bounds, settings, slopeProfile);
+    const layerPasses = getLayerPasses(layerHeights, sizes, settings, bounds);
+
+    // Slice every sample height in one pass
+    const passContours = sliceHeights(layerPasses.flat().map(pass => pass.sampleZ));
+    let passIndex = 0;
+    layerPasses.forEach(passes => passes.forEach(pass => { pass.contours = passContours[passIndex++]; }));
+
+    // Raft layers continue the layer lattice below the model, which is lifted by their height
+    const adhesion = layerHeights.length > 0 ? settings.adhesion || null : null;
+    const raftLayers = adhesion && adhesion.type === 'raft' ? Math.max(1, Math.round(adhesion.layers)) : 0;
+    const raftStep = getLayerStep(settings);
+    const lift = raftLayers * raftStep;
+    const coreSpacing = (sizes[0] * 2) * overlapFactorH;
+    const getAdhesionLayer = (layerIndex, margin, outsideOnly) => getAdhesionPoints(
+        layerPasses[0][0].contours, bounds, getPackingLattice(packing, coreSpacing, layerIndex), margin, outsideOnly);
+
+    for (let r = 0; r < raftLayers; r++) {
+        const z = layerHeights[0].centerZ + r * raftStep;
+        model.addLayer(z, layerHeights[0].sampleZ, 'raft');
+        getAdhesionLayer(r, adhesion.margin, false).forEach(p => {
+            model.addBubble(r, p.x, p.y, z, sizes[0], r === 0 ? bedCut : null, 'raft');
+        });
+    }
+
+    // Shell mode: walls N core bubbles thick, solid skins where the model ends within
+    // solidLayers layers above or below, optional grid infill every infillSpacing bubbles
+    const shell = settings.shell ? {
+        wall: settings.shell.walls * sizes[0] * 2,
+        solidLayers: settings.shell.solidLayers,
+        infill: settings.shell.infillSpacing * sizes[0] * 2
+    } : null;
+    const isSolidSkin = (p, layerIndex) => {
+        for (let s = 1; s <= shell.solidLayers; s++) {
+            for (const neighbor of [layerIndex - s, layerIndex + s]) {
+                const passes = layerPasses[neighbor];
+                if (!passes || !isPointInContourTree(p.x, p.y, passes[0].contours)) return true;
+            }
+        }
+        return false;
+    };
+    // Vertical ribs along the world X and Y grid lines, one bubble wide: a rib at constant X
+    // takes one lattice column (columnStep apart), a rib at constant Y one bubble per column
+    const isOnRib = (v, width) => {
+        const offset = v - Math.round(v / shell.infill) * shell.infill;
+        return offset >= -width / 2 - 1e-9 && offset < width / 2 - 1e-9;
+    };
+    const isInfill = (p, lattice) => shell.infill > 0
+        && (isOnRib(p.x, lattice.columnStep) || isOnRib(p.y, lattice.spacing));
+
+    const placeSize = (layerIndex, size) => {
+        const { centerZ } = layerHeights[layerIndex];
+        // Only the first layer is cut flat against the bed, unless it stands on a raft
+        const layerCut = (layerIndex === 0 && raftLayers === 0) ? bedCut : null;
+
+        const placed = [];
+        layerPasses[layerIndex].filter(pass => pass.size === size).forEach(pass => {
+            if (pass.contours.length === 0) return;
+
+            const lattice = getPackingLattice(packing, (pass.radius * 2) * overlapFactorH, pass.stack + raftLayers);
+            let points = getGridPointsInContours(pass.contours, bounds, lattice);
+
+            let edges = null;
+            const getEdges = () => edges || (edges = new ContourEdgeGrid(pass.contours, sizes[0] * 2));
+
+            // Every size but the smallest keeps one radius away from the boundary
+            if (size < smallest) {
+                points = points.filter(p => getEdges().getDistance(p.x, p.y, pass.radius) >= pass.radius);
+            }
+            if (shell) {
+                points = points.filter(p => getEdges().getDistance(p.x, p.y, shell.wall) < shell.wall
+                    || isSolidSkin(p, layerIndex)
+                    || isInfill(p, lattice));
+            }
+            if (size > 0) {
+                // Smaller sizes only fill the surface band, where the larger bubbles leave gaps
+                const band = sizes[size - 1] * 2;
+                points = points.filter(p => getEdges().getDistance(p.x, p.y, band) < band
+                    && !grid.isCovered(p.x, p.y, pass.z, pass.radius, sizeOverlapFactor));
+            }
+
+            points.forEach(p => {
+                let cut = layerCut;
+                if (layerCut && (size > 0 || pass.z !== centerZ)) {
+                    cut = getBedCut(pass.z, pass.radius, layerCut.cutZ);
+                    if (cut === false) return; // Entirely below the bed
+                    if (cut) {
+                        const key = `${cut.thetaLength},${cut.cutZ}`;
+                        if (!cuts.has(key)) cuts.set(key, cut);
+                        cut = cuts.get(key);
+                    }
+                }
+                // Smaller bubbles need the bed or a bubble of a lower (sub-)layer to stand on
+                const bottom = cut ? cut.cutZ : pass.z - pass.radius;
+                if (size > 0 && bottom > bounds.min.z + 1e-4
+                    && !grid.isSupported(p.x, p.y, pass.z, pass.radius, coneSlope)) return;
+
+                const bubble = { x: p.x, y: p.y, z: pass.z, radius: pass.radius, cut };
+                if (grid) grid.add(bubble);
+                placed.push(bubble);
+            });
+        });
+        return placed;
+    };
+
+    // Step t places size k in layer t - k, then the finished layer t - smallest goes to the model.
+    // Smallest size first, so the next larger size finds it in the layer below to stand on.
+    const pending = layerHeights.map(() => []);
+    for (let step = 0; step < layerHeights.length + smallest; step++) {
+        for (let size = smallest; size >= 0; size--) {
+            const layerIndex = step - size;
+            if (layerIndex < 0 || layerIndex >= layerHeights.length) continue;
+            pending[layerIndex].push(...placeSize(layerIndex, size));
+        }
+
+        const done = step - smallest;
+        if (done < 0) continue;
+        const { centerZ, sampleZ } = layerHeights[done];
+        const layer = model.addLayer(centerZ + lift, sampleZ);
+
+        // The brim goes down first, around the first layer
+        if (done === 0 && adhesion && adhesion.type === 'brim') {
+            getAdhesionLayer(0, adhesion.rings * coreSpacing, true).forEach(p => {
+                model.addBubble(layer.index, p.x, p.y, centerZ, sizes[0], bedCut, 'brim');
+            });
+        }
+        pending[done].forEach(b => model.addBubble(layer.index, b.x, b.y, b.z + lift, b.radius, b.cut));
+        pending[done] = null;
+
+        if (onProgress) onProgress(done + 1, layerHeights.length);
+    }
+
+    if (settings.supports) {
+        addSupportBubbles(model, settings.supports);
+    }
+    if (settings.ordering) {
+        orderBubbleModel(model, settings.ordering);
+    }
+
+    if (smallest > 0) {
+        const counts = model.getSizeCounts().map(({ radius, count }) => `${count} x r${radius}`).join(', ');
+        console.log(`[BubbleGenerator] Sizes: ${counts}`);
+    }
+    if (adhesion) {
+        const raftText = raftLayers > 0 ? ` in ${raftLayers} layers` : '';
+        console.log(`[BubbleGenerator] ${adhesion.type}: ${model.countBubbles(adhesion.type)} bubbles${raftText}.`);
+    }
+    console.log(`[BubbleGenerator] Placed ${model.bubbleCount} bubbles in ${model.layerCount} layers.`);
+    return model;
+}
+
+/**
+ * In-plane lattice of one bubble layer.
+ * Columns run along Y (spacing apart) and are columnStep apart in X; odd columns shift
+ * by columnShift. The lattice is anchored at the world origin (offset by half a spacing),
+ * plus the stacking offset of staggered layers.
+ * @param {string} packing - One of PACKING_MODES
+ * @param {number} spacing - Distance between neighbouring bubble centers
+ * @param {number} layerIndex
+ * @returns {{spacing: number, columnStep: number, columnShift: number, offsetX: number, offsetY: number}}
+ */
+export function getPackingLattice(packing, spacing, layerIndex) {
+    if (packing === 'square' || !PACKING_MODES.includes(packing)) {
+        return { spacing, columnStep: spacing, columnShift: 0, offsetX: spacing / 2, offsetY: spacing / 2 };
+    }
+
+    // Hexagonal columns; staggered layers move to the next hollow of the triangle lattice
+    const columnStep = spacing * Math.sqrt(3) / 2;
+    const stack = packing === 'fcc' ? layerIndex % 3 : packing === 'hcp' ? layerIndex % 2 : 0;
+    return {
+        spacing,
+        columnStep,
+        columnShift: spacing / 2,
+        offsetX: spacing / 2 + stack * columnStep / 3,
+        offsetY: spacing / 2 + stack * spacing / 2
+    };
+}
+
+/**
+ * Calls fn(x, y) for every lattice point covering the box.
+ * Truly absolute world-grid anchored at (0,0).
+ * @param {{min: {x, y}, max: {x, y}}} box
+ * @param {Object} lattice - Lattice from getPackingLattice
+ * @param {function(number, number): void} fn
+ */
+function forEachLatticePoint(box, lattice, fn) {
+    const { spacing, columnStep, columnShift, offsetX, offsetY } = lattice;
+
+    // Find the range of column indices 'n' that cover the bounding box relative to (0,0).
+    const startN = Math.floor((box.min.x - offsetX) / columnStep);
+    const endN = Math.ceil((box.max.x - offsetX) / columnStep);
+
+    for (let n = startN; n <= endN; n++) {
+        const x = n * columnStep + offsetX;
+        const columnY = offsetY + (Math.abs(n) % 2) * columnShift;
+
+        const startM = Math.floor((box.min.y - columnY) / spacing);
+        const endM = Math.ceil((box.max.y - columnY) / spacing);
+        for (let m = startM; m <= endM; m++) {
+            fn(x, m * spacing + columnY);
+        }
+    }
+}
+
+/**
+ * Returns lattice points (x, y) that are inside the contour tree (in material, not in holes).
+ * @param {Array<ContourNode>} contours
+ * @param {{min: {x, y}, max: {x, y}}} box
+ * @param {number|Object} lattice - Lattice from getPackingLattice, or a square grid spacing
+ */
+export function getGridPointsInContours(contours, box, lattice) {
+    if (typeof lattice === 'number') {
+        lattice = getPackingLattice('square', lattice, 0);
+    }
+    const points = [];
+    forEachLatticePoint(box, lattice, (x, y) => {
+        if (isPointInContourTree(x, y, contours)) {
+            points.push({ x, y });
+        }
+    });
+    return points;
+}
+
+/**
+ * Returns the lattice points of a bed adhesion layer: outside the contour tree within
+ * margin of it (brim), plus the points inside it unless outsideOnly (raft).
+ * @param {Array<ContourNode>} contours - First-layer contours
+ * @param {{min: {x, y}, max: {x, y}}} box - Bounds of the contours
+ * @param {Object} lattice - Lattice from getPackingLattice
+ * @param {number} margin - Distance from the contour in mm
+ * @param {boolean} outsideOnly
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getAdhesionPoints(contours, box, lattice, margin, outsideOnly) {
+    if (contours.length === 0) return [];
+
+    const edges = margin > 0 ? new ContourEdgeGrid(contours, Math.max(margin, lattice.spacing)) : null;
+    const grown = {
+        min: { x: box.min.x - margin, y: box.min.y - margin },
+        max: { x: box.max.x + margin, y: box.max.y + margin }
+    };
+
+    const points = [];
+    forEachLatticePoint(grown, lattice, (x, y) => {
+        const inside = isPointInContourTree(x, y, contours);
+        const near = !inside && edges !== null && edges.getDistance(x, y, margin) < margin;
+        if (near || (inside && !outsideOnly)) {
+            points.push({ x, y });
+        }
+    });
+    return points;
+}
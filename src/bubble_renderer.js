@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+// Shared unit sphere, scaled per instance by the bubble radius
+const SPHERE_WIDTH_SEGMENTS = 16;
+const SPHERE_HEIGHT_SEGMENTS = 12;
+
+/**
+ * Creates a unit sphere (optionally cut at the bottom) with its poles on the Z axis.
+ * @param {number} thetaLength - Polar extent kept from the top pole (PI = full sphere)
+ * @returns {THREE.SphereGeometry}
+ */
+function createUnitSphere(thetaLength = Math.PI) {
+    const geo = new THREE.SphereGeometry(1, SPHERE_WIDTH_SEGMENTS, SPHERE_HEIGHT_SEGMENTS, 0, Math.PI * 2, 0, thetaLength);
+    // Rotate so poles are on the Z axis (Vertical); the cut ends up facing the bed.
+    geo.rotateX(Math.PI / 2);
+    return geo;
+}
+
+/**
+ * Builds instanced meshes for all bubbles of a model: one InstancedMesh for full
+ * spheres and one per distinct base cut (the flattened first layer), separately
+ * for model and sacrificial (support, raft, brim) bubbles.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {THREE.Material} material
+ * @param {THREE.Material} [supportMaterial] - Material of the sacrificial bubbles (default: material)
+ * @returns {THREE.Group} Group of InstancedMesh; each has userData.bubbleIds mapping instance -> bubble id
+ */
+export function createBubbleInstances(model, material, supportMaterial = material) {
+    // Group bubbles by type and sphere shape
+    const batches = new Map();
+    model.bubbles.forEach(b => {
+        const thetaLength = b.cut ? b.cut.thetaLength : Math.PI;
+        const key = `${b.type}:${thetaLength.toFixed(6)}`;
+        if (!batches.has(key)) batches.set(key, { type: b.type, thetaLength, bubbles: [] });
+        batches.get(key).bubbles.push(b);
+    });
+
+    const group = new THREE.Group();
+    group.name = 'BubbleInstances';
+
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    batches.forEach(({ type, thetaLength, bubbles }) => {
+        const batchMaterial = type === 'model' ? material : supportMaterial;
+        const instanced = new THREE.InstancedMesh(createUnitSphere(thetaLength), batchMaterial, bubbles.length);
+        instanced.userData.bubbleIds = bubbles.map(b => b.id);
+
+        bubbles.forEach((b, i) => {
+            position.set(b.x, b.y, b.z);
+            scale.set(b.radius, b.radius, b.radius);
+            matrix.compose(position, quaternion, scale);
+            instanced.setMatrixAt(i, matrix);
+        });
+
+        instanced.instanceMatrix.needsUpdate = true;
+        instanced.computeBoundingSphere();
+        group.add(instanced);
+    });
+
+    console.log(`[BubbleRenderer] ${model.bubbleCount} bubbles in ${batches.size} instanced batch(es).`);
+    return group;
+}
+
+/**
+ * Creates a second view of existing bubble instances with another material
+ * (e.g. the ghost view), sharing geometry and instance matrices.
+ * @param {THREE.Group} instances - Group returned by createBubbleInstances
+ * @param {THREE.Material} material
+ * @returns {THREE.Group}
+ */
+export function cloneBubbleInstances(instances, material) {
+    const group = new THREE.Group();
+    group.name = 'BubbleInstancesView';
+
+    instances.children.forEach(source => {
+        const instanced = new THREE.InstancedMesh(source.geometry, material, source.count);
+        instanced.instanceMatrix = source.instanceMatrix;
+        instanced.userData.bubbleIds = source.userData.bubbleIds;
+        instanced.computeBoundingSphere();
+        group.add(instanced);
+    });
+
+    return group;
+}
+
+/**
+ * Colors the given bubbles of an instance group (e.g. unsupported bubbles in red);
+ * all others keep the plain material color.
+ * @param {THREE.Group} instances - Group returned by createBubbleInstances
+ * @param {Set<number>} bubbleIds - Bubble ids to highlight
+ * @param {THREE.ColorRepresentation} color
+ */
+export function setBubbleHighlights(instances, bubbleIds, color = 0xff2020) {
+    const highlight = new THREE.Color(color);
+    const plain = new THREE.Color(0xffffff); // Instance colors multiply the material color
+
+    instances.children.forEach(instanced => {
+        if (!instanced.instanceColor && bubbleIds.size === 0) return;
+        instanced.userData.bubbleIds.forEach((id, i) => {
+            instanced.setColorAt(i, bubbleIds.has(id) ? highlight : plain);
+        });
+        instanced.instanceColor.needsUpdate = true;
+    });
+}
@@ -0,0 +1,76 @@
+import { TriangleSliceIndex, sweepSliceIndices, createStitchReport } from './slice_core.js';
+import { buildBubbleModel } from './bubble_pipeline.js';
+
+/**
+ * Slicing and bubble generation worker (driven by bubble_worker_client.js). Receives the
+ * world-space triangles of the model (transferred Float32Arrays) and keeps them for the
+ * following jobs until another mesh is sent; posts back progress, the contour trees it
+ * sliced (for the main thread's layer cache) and the packed BubbleModel.
+ *
+ * In:  { type: 'slice', jobId, triangles, heights }
+ *      { type: 'generate', jobId, triangles, layers, bounds, settings, slopeProfile }
+ *        (triangles: Array<Float32Array>, null to keep the last mesh;
+ *         layers: cached contour trees of the sample heights, null to slice them)
+ * Out: { type: 'progress', jobId, phase: 'slicing'|'placing', layer, layerCount }
+ *      { type: 'layers', jobId, heights, layers, report }   (contours sliced for a generation)
+ *      { type: 'result', jobId, layers, report }   (slice job: contour tree per height, stitching report)
+ *      { type: 'result', jobId, model }   (generate job: BubbleModel.toTransfer() data)
+ *      { type: 'error', jobId, message }
+ * Cancellation is done by terminating the worker.
+ */
+
+let meshIndices = []; // Slice indices of the last mesh received
+
+// Post at most ~50 progress events per phase
+function createProgress(jobId, phase) {
+    let last = -1;
+    return (layer, layerCount) => {
+        const step = Math.max(1, Math.floor(layerCount / 50));
+        if (layer !== layerCount && layer - last < step) return;
+        last = layer;
+        self.postMessage({ type: 'progress', jobId, phase, layer, layerCount });
+    };
+}
+
+function slice(jobId, heights) {
+    const report = createStitchReport();
+    const layers = sweepSliceIndices(meshIndices, heights, createProgress(jobId, 'slicing'), report);
+    return { layers, report };
+}
+
+self.onmessage = (e) => {
+    const { type, jobId, triangles } = e.data;
+    if (type !== 'slice' && type !== 'generate') return;
+
+    try {
+        if (triangles) {
+            meshIndices = triangles.map(t => new TriangleSliceIndex(t));
+        }
+
+        if (type === 'slice') {
+            const { layers, report } = slice(jobId, e.data.heights);
+            self.postMessage({ type: 'result', jobId, layers, report });
+            return;
+        }
+
+        const { layers, bounds, settings, slopeProfile } = e.data;
+        const model = buildBubbleModel(
+            bounds,
+            settings,
+            (heights) => {
+                if (layers) return layers;
+                // Posted back to be cached
+                const sliced = slice(jobId, heights);
+                self.postMessage({ type: 'layers', jobId, heights, ...sliced });
+                return sliced.layers;
+            },
+            createProgress(jobId, 'placing'),
+            slopeProfile
+        );
+
+        const { data, transfer } = model.toTransfer();
+        self.postMessage({ type: 'result', jobId, model: data }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+};
@@ -0,0 +1,110 @@
+/**
+ * Main-thread side of the bubble worker (see bubble_worker.js), shared by the bubble
+ * generator and the layer cache. One worker runs one job at a time: a new job cancels
+ * the running one, so a Refresh also stops any slicing still in flight.
+ * The worker keeps the triangles of the last mesh it got, so they are only copied
+ * over again when the mesh changes.
+ */
+export class BubbleWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.pendingJob = null; // { id, reject } of the running job
+        this.jobCounter = 0;
+        this.meshIndices = null; // Slice indices whose triangles the worker holds
+    }
+
+    /**
+     * Whether workers are available (callers fall back to the main thread when not).
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Whether the given job is still running.
+     * @param {number} jobId
+     * @returns {boolean}
+     */
+    isRunning(jobId) {
+        return !!this.pendingJob && this.pendingJob.id === jobId;
+    }
+
+    /**
+     * Starts a worker job, cancelling the running one.
+     * @param {Object} message - Job message without jobId ({ type: 'slice'|'generate', ... })
+     * @param {Array<TriangleSliceIndex>|null} indices - Mesh triangles the job slices (null when it needs none)
+     * @param {function(Object): void} [onMessage] - Called with every 'progress' and 'layers' message
+     * @returns {{jobId: number, promise: Promise<Object>}} The promise resolves with the 'result'
+     *   message and rejects with an AbortError when cancelled
+     */
+    run(message, indices, onMessage = null) {
+        this.cancel();
+
+        // Copies of the cached world-space triangles, transferred to the worker when it does not have them yet
+        const sameMesh = indices && this.meshIndices && indices.length === this.meshIndices.length
+            && indices.every((index, i) => index === this.meshIndices[i]);
+        const triangles = indices && !sameMesh ? indices.map(index => index.triangles.slice()) : null;
+        if (triangles) this.meshIndices = indices;
+
+        const jobId = ++this.jobCounter;
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./bubble_worker.js', import.meta.url), { type: 'module' });
+        }
+        const worker = this.worker;
+
+        const promise = new Promise((resolve, reject) => {
+            this.pendingJob = { id: jobId, reject };
+
+            worker.onmessage = (e) => {
+                const reply = e.data;
+                if (reply.jobId !== jobId) return;
+
+                if (reply.type === 'result') {
+                    this.pendingJob = null;
+                    resolve(reply);
+                } else if (reply.type === 'error') {
+                    this.pendingJob = null;
+                    reject(new Error(reply.message));
+                } else if (onMessage) {
+                    onMessage(reply);
+                }
+            };
+            worker.onerror = (e) => {
+                // The worker catches its own exceptions, so this is the worker itself failing
+                // (e.g. the module did not load): never post to it again
+                this._stopWorker();
+                this.pendingJob = null;
+                reject(new Error(e.message || 'Bubble worker failed'));
+            };
+
+            worker.postMessage({ ...message, jobId, triangles }, triangles ? triangles.map(t => t.buffer) : []);
+        });
+        return { jobId, promise };
+    }
+
+    /**
+     * Cancels the running job (if any, or only the given one). Its promise rejects with an AbortError.
+     * @param {number} [jobId] - Only cancel this job
+     */
+    cancel(jobId = null) {
+        if (!this.pendingJob || (jobId !== null && this.pendingJob.id !== jobId)) return;
+
+        // The worker is busy in a synchronous loop, so stop it and start a fresh one next time
+        this._stopWorker();
+
+        const error = new Error('Bubble worker job cancelled');
+        error.name = 'AbortError';
+        this.pendingJob.reject(error);
+        this.pendingJob = null;
+    }
+
+    _stopWorker() {
+        this.worker.terminate();
+        this.worker = null;
+        this.meshIndices = null; // A fresh worker holds no triangles
+    }
+}
+
+// Shared by the bubble generator and the layer cache
+export const bubbleWorker = new BubbleWorkerClient();
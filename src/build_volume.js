@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+const VOLUME_COLOR = 0x4D90FE; // Accent blue
+const WARNING_COLOR = 0xff3333;
+
+/**
+ * Printer build volume: a bed of width x depth centered at the origin, up to maxHeight.
+ * Renders the bed grid plus a wireframe box and highlights anything that sticks out.
+ */
+export class BuildVolume {
+    /**
+     * @param {number} width - X size in mm
+     * @param {number} depth - Y size in mm
+     * @param {number} height - Max Z in mm
+     */
+    constructor(width = 200, depth = 200, height = 200) {
+        this.group = new THREE.Group();
+        this.group.name = 'BuildVolume';
+
+        this.grid = null;
+        this.box = null;
+        this.overlay = null; // Red highlight of out-of-bounds geometry
+
+        this.setSize(width, depth, height);
+    }
+
+    /**
+     * Updates the volume dimensions and rebuilds its helpers.
+     */
+    setSize(width, depth, height) {
+        this.width = width;
+        this.depth = depth;
+        this.height = height;
+
+        this._disposeHelpers();
+
+        // Bed grid (Cura style), 10 mm cells. GridHelper is square, so it spans the larger side.
+        const gridSize = Math.max(width, depth);
+        this.grid = new THREE.GridHelper(gridSize, Math.max(1, Math.round(gridSize / 10)), 0x008800, 0x444444);
+        this.grid.rotation.x = Math.PI / 2; // Rotate to XY plane
+        this.group.add(this.grid);
+
+        // Wireframe box of the printable volume, sitting on Z=0
+        const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(width, depth, height));
+        this.box = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({ color: VOLUME_COLOR }));
+        this.box.position.z = height / 2;
+        this.group.add(this.box);
+    }
+
+    /**
+     * World-space bounds of the printable volume.
+     * @returns {THREE.Box3}
+     */
+    getBounds() {
+        return new THREE.Box3(
+            new THREE.Vector3(-this.width / 2, -this.depth / 2, 0),
+            new THREE.Vector3(this.width / 2, this.depth / 2, this.height)
+        );
+    }
+
+    /**
+     * Checks whether the given bounds fit in the volume.
+     * @param {{min: {x, y, z}, max: {x, y, z}}} bounds
+     * @param {number} tolerance - Allowed overshoot in mm
+     * @returns {{inside: boolean, exceeded: Array<string>}} exceeded lists the violated sides ('-X', '+Z', ...)
+     */
+    check(bounds, tolerance = 1e-3) {
+        const volume = this.getBounds();
+        const exceeded = [];
+
+        ['x', 'y', 'z'].forEach(axis => {
+            const label = axis.toUpperCase();
+            if (bounds.min[axis] < volume.min[axis] - tolerance) exceeded.push(`-${label}`);
+            if (bounds.max[axis] > volume.max[axis] + tolerance) exceeded.push(`+${label}`);
+        });
+
+        return { inside: exceeded.length === 0, exceeded };
+    }
+
+    /**
+     * Checks the bounds and updates the highlight: the volume turns red and the
+     * offending bounds are drawn as a translucent red overlay.
+     * @param {{min: {x, y, z}, max: {x, y, z}}|null} bounds - null clears the highlight
+     * @returns {{inside: boolean, exceeded: Array<string>}}
+     */
+    highlight(bounds) {
+        this._removeOverlay();
+
+        if (!bounds) {
+            this.box.material.color.setHex(VOLUME_COLOR);
+            return { inside: true, exceeded: [] };
+        }
+
+        const result = this.check(bounds);
+        this.box.material.color.setHex(result.inside ? VOLUME_COLOR : WARNING_COLOR);
+
+        if (!result.inside) {
+            const box3 = new THREE.Box3(
+                new THREE.Vector3(bounds.min.x, bounds.min.y, bounds.min.z),
+                new THREE.Vector3(bounds.max.x, bounds.max.y, bounds.max.z)
+            );
+            const size = box3.getSize(new THREE.Vector3());
+            const center = box3.getCenter(new THREE.Vector3());
+
+            this.overlay = new THREE.Mesh(
+                new THREE.BoxGeometry(size.x, size.y, size.z),
+                new THREE.MeshBasicMaterial({
+                    color: WARNING_COLOR,
+                    transparent: true,
+                    opacity: 0.15,
+                    depthWrite: false
+                })
+            );
+            this.overlay.position.copy(center);
+            this.overlay.add(new THREE.LineSegments(
+                new THREE.EdgesGeometry(this.overlay.geometry),
+                new THREE.LineBasicMaterial({ color: WARNING_COLOR })
+            ));
+            this.group.add(this.overlay);
+        }
+
+        return result;
+    }
+
+    _removeOverlay() {
+        if (!this.overlay) return;
+        this.group.remove(this.overlay);
+        this.overlay.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.overlay = null;
+    }
+
+    _disposeHelpers() {
+        this._removeOverlay();
+        [this.grid, this.box].forEach(helper => {
+            if (!helper) return;
+            this.group.remove(helper);
+            helper.geometry.dispose();
+            helper.material.dispose();
+        });
+    }
+}
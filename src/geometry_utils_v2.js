@@ -1,195 +1,110 @@
 import * as THREE from 'three';
+import { TriangleSliceIndex, sweepSliceIndices, stitchSegments, buildContourTree } from './slice_core.js';
+
+// Per-mesh index cache, rebuilt when the geometry or world matrix changes
+const sliceIndexCache = new WeakMap();
+
+/**
+ * Returns the (cached) slice index of a mesh, using its current matrixWorld.
+ * @param {THREE.Mesh} mesh
+ * @returns {TriangleSliceIndex}
+ */
+export function getMeshSliceIndex(mesh) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const cached = sliceIndexCache.get(mesh);
+    if (cached && cached.geometry === geometry && cached.version === position.version
+        && cached.matrixWorld.equals(mesh.matrixWorld)) {
+        return cached.index;
+    }
+
+    const index = new TriangleSliceIndex(getWorldTriangles(geometry, mesh.matrixWorld));
+    sliceIndexCache.set(mesh, {
+        geometry,
+        version: position.version,
+        matrixWorld: mesh.matrixWorld.clone(),
+        index
+    });
+    console.log(`[GeoUtils] Built slice index: ${index.triangleCount} triangles in ${index.bucketCount} Z buckets.`);
+    return index;
+}
+
+/**
+ * Transforms the triangles of a geometry to world space.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Matrix4} matrixWorld
+ * @returns {Float32Array} 9 floats per triangle
+ */
+function getWorldTriangles(geometry, matrixWorld) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const triangles = new Float32Array(Math.floor(count / 3) * 9);
+    const v = new THREE.Vector3();
+
+    for (let i = 0; i < triangles.length / 3; i++) {
+        v.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(matrixWorld);
+        triangles[i * 3] = v.x;
+        triangles[i * 3 + 1] = v.y;
+        triangles[i * 3 + 2] = v.z;
+    }
+    return triangles;
+}
 
 /**
- * Slices a mesh at a specific Z height and returns an array of closed polygons.
+ * Slices a mesh at a specific Z height and returns its closed contours as a tree
+ * of outer boundaries and holes (see buildContourTree in slice_core.js).
  * @param {THREE.Object3D} object - The 3D object to slice.
  * @param {number} z - The Z-height to slice at.
- * @returns {Array<Array<[number, number]>>} - Array of polygons (array of points).
+ * @param {Object} [report] - Filled with stitching problems (see createStitchReport in slice_core.js)
+ * @returns {Array<ContourNode>} - Outermost contours, holes and islands as children.
  */
-export function getSliceContours(object, z) {
-    console.log(`[GeoUtils] Starting slice at Z=${z.toFixed(2)}`);
+export function getSliceContours(object, z, report = null) {
     const segments = [];
-    const v1 = new THREE.Vector3();
-    const v2 = new THREE.Vector3();
-    const v3 = new THREE.Vector3();
-
-    let triangleCount = 0;
+    let checked = 0;
     let minZ = Infinity;
     let maxZ = -Infinity;
 
     object.traverse((child) => {
-        if (child.isMesh) {
-            const geometry = child.geometry;
-            const matrixWorld = child.matrixWorld;
-            const position = geometry.attributes.position;
-
-            if (!position) return;
-
-            const index = geometry.index;
-            const count = index ? index.count : position.count;
-
-            for (let i = 0; i < count; i += 3) {
-                triangleCount++;
-                // Get local triangle vertices
-                if (index) {
-                    v1.fromBufferAttribute(position, index.getX(i));
-                    v2.fromBufferAttribute(position, index.getX(i + 1));
-                    v3.fromBufferAttribute(position, index.getX(i + 2));
-                } else {
-                    v1.fromBufferAttribute(position, i);
-                    v2.fromBufferAttribute(position, i + 1);
-                    v3.fromBufferAttribute(position, i + 2);
-                }
-
-                // Transform to world coordinates
-                v1.applyMatrix4(matrixWorld);
-                v2.applyMatrix4(matrixWorld);
-                v3.applyMatrix4(matrixWorld);
-
-                minZ = Math.min(minZ, v1.z, v2.z, v3.z);
-                maxZ = Math.max(maxZ, v1.z, v2.z, v3.z);
-
-                const triangleSegments = getTriangleIntersectionSegments(v1, v2, v3, z);
-                if (triangleSegments) {
-                    segments.push(...triangleSegments);
-                }
-            }
+        if (child.isMesh && child.geometry.attributes.position) {
+            const index = getMeshSliceIndex(child);
+            checked += index.intersect(z, segments);
+            minZ = Math.min(minZ, index.minZ);
+            maxZ = Math.max(maxZ, index.maxZ);
         }
     });
 
-    console.log(`[GeoUtils] Checked ${triangleCount} triangles.`);
-    console.log(`[GeoUtils] World Z Range: [${minZ.toFixed(2)}, ${maxZ.toFixed(2)}]`);
-    console.log(`[GeoUtils] Slice Plane Z: ${z.toFixed(2)}`);
-    console.log(`[GeoUtils] Found ${segments.length} segments.`);
+    console.log(`[GeoUtils] Slice Z=${z.toFixed(2)}: checked ${checked} triangles, found ${segments.length} segments.`);
 
     if (z < minZ || z > maxZ) {
-        console.warn('[GeoUtils] WARNING: Slice plane is OUTSIDE object Z range!');
+        console.warn(`[GeoUtils] WARNING: Slice plane is OUTSIDE object Z range [${minZ.toFixed(2)}, ${maxZ.toFixed(2)}]!`);
     }
 
-    return stitchSegments(segments);
+    return buildContourTree(stitchSegments(segments, report));
 }
 
 /**
- * Calculates the intersection segment of a triangle with a Z-plane.
- * @param {THREE.Vector3} v1 
- * @param {THREE.Vector3} v2 
- * @param {THREE.Vector3} v3 
- * @param {number} z 
- * @returns {Array<[THREE.Vector3, THREE.Vector3]> | null}
+ * Slices an object at many heights in a single sweep (see sweepSliceIndices).
+ * @param {THREE.Object3D} object
+ * @param {Array<number>} heights - Slice heights (any order)
+ * @param {Object} [report] - Collects stitching problems per layer (see sweepSliceIndices)
+ * @returns {Array<Array<ContourNode>>} Contour tree per height, in the order of `heights`
  */
-function getTriangleIntersectionSegments(v1, v2, v3, z) {
-    const points = [];
-    const edges = [[v1, v2], [v2, v3], [v3, v1]];
-
-    for (const [pa, pb] of edges) {
-        if ((pa.z >= z && pb.z < z) || (pa.z < z && pb.z >= z)) {
-            // Edge crosses the plane
-            const t = (z - pa.z) / (pb.z - pa.z);
-            const x = pa.x + t * (pb.x - pa.x);
-            const y = pa.y + t * (pb.y - pa.y);
-            points.push(new THREE.Vector3(x, y, z));
-        } else if (pa.z === z && pb.z === z) {
-            // Edge lies exactly on the plane - we can skip or handle as special case.
-            // For simple stitching, we'll ignore purely horizontal edges as the other 
-            // intersecting edges will provide the points.
-        } else if (pa.z === z) {
-            // Vertex lies on the plane.
-            // Check if we already have this point to avoid duplicates.
-            if (!points.some(p => p.equals(pa))) {
-                points.push(pa.clone());
-            }
-        }
-    }
-
-    if (points.length >= 2) {
-        return [[points[0], points[1]]];
-    }
-    return null;
+export function sliceLayers(object, heights, report = null) {
+    return sweepSliceIndices(getObjectSliceIndices(object), heights, null, report);
 }
 
 /**
- * Stitches a list of segments into closed loops.
- * @param {Array<[THREE.Vector3, THREE.Vector3]>} segments 
- * @returns {Array<Array<[number, number]>>}
+ * Returns the (cached) slice indices of every mesh of an object.
+ * @param {THREE.Object3D} object
+ * @returns {Array<TriangleSliceIndex>}
  */
-function stitchSegments(segments) {
-    if (segments.length === 0) return [];
-
-    const loops = [];
-    const precision = 5; // Reduced precision to help matching
-    const getPointKey = (v) => `${v.x.toFixed(precision)},${v.y.toFixed(precision)}`;
-
-    // Build Graph
-    // map key -> array of { targetPoint, segmentId }
-    const adj = new Map();
-    const visitedSegments = new Set();
-
-    segments.forEach((seg, i) => {
-        const [p1, p2] = seg;
-
-        // Debug check for NaN
-        if (isNaN(p1.x) || isNaN(p1.y) || isNaN(p2.x) || isNaN(p2.y)) {
-            console.error('[GeoUtils] NaN point found in segment', i);
-            return;
-        }
-
-        const k1 = getPointKey(p1);
-        const k2 = getPointKey(p2);
-
-        if (!adj.has(k1)) adj.set(k1, []);
-        if (!adj.has(k2)) adj.set(k2, []);
-
-        adj.get(k1).push({ point: p2, key: k2, id: i });
-        adj.get(k2).push({ point: p1, key: k1, id: i });
-    });
-
-    console.log(`[GeoUtils] Graph built. Unique vertices: ${adj.size}`);
-
-    // Traverse
-    segments.forEach((_, startSegId) => {
-        if (visitedSegments.has(startSegId)) return;
-
-        // Start a new loop from this segment
-        const startSeg = segments[startSegId];
-        visitedSegments.add(startSegId);
-
-        let pStart = startSeg[0];
-        let pNext = startSeg[1];
-
-        const currentLoop = [[pStart.x, pStart.y], [pNext.x, pNext.y]];
-
-        let currPoint = pNext;
-        let currKey = getPointKey(currPoint);
-        let prevKey = getPointKey(pStart);
-
-        let expanding = true;
-        while (expanding) {
-            expanding = false;
-
-            const neighbors = adj.get(currKey);
-            if (!neighbors) break;
-
-            for (const neighbor of neighbors) {
-                if (visitedSegments.has(neighbor.id)) continue;
-
-                // Found a valid continuation
-                visitedSegments.add(neighbor.id);
-                currentLoop.push([neighbor.point.x, neighbor.point.y]);
-
-                prevKey = currKey;
-                currPoint = neighbor.point;
-                currKey = neighbor.key;
-
-                expanding = true;
-                break; // Move to next point in chain
-            }
-        }
-
-        if (currentLoop.length >= 3) {
-            loops.push(currentLoop);
+export function getObjectSliceIndices(object) {
+    const indices = [];
+    object.traverse((child) => {
+        if (child.isMesh && child.geometry.attributes.position) {
+            indices.push(getMeshSliceIndex(child));
         }
     });
-
-    console.log(`[GeoUtils] Stitched ${loops.length} loops.`);
-    return loops;
+    return indices;
 }
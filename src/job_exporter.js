@@ -0,0 +1,128 @@
+/**
+ * Print job export for the bubble inflation machine.
+ *
+ * A job lists every bubble in deposition order (layer by layer, bottom to top)
+ * with its XYZ center, radius, whether its base is flattened onto the bed and
+ * its type: model, or sacrificial support, raft or brim (removed after printing).
+ * Raft layers are marked as such in the layer list.
+ *
+ * G-code-like dialect:
+ *   G21 / G90             - millimetres, absolute positioning
+ *   ;LAYER:<n> Z<z>       - layer marker comment (followed by "raft" for raft layers)
+ *   G0 X<x> Y<y> Z<z>     - travel to the bubble center
+ *   M800 R<r> P<0|1> S<0|1> - inflate a bubble of radius r at the current position,
+ *                           P1 = flattened base (first layer cut), S1 = sacrificial bubble
+ */
+
+const JOB_FORMAT_VERSION = 2;
+
+/**
+ * Builds a print job object from a bubble model.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {Object} extraSettings - Additional settings recorded in the job (e.g. printer profile)
+ * @returns {Object}
+ */
+export function buildPrintJob(model, extraSettings = {}) {
+    const layers = model.getNonEmptyLayers();
+    let order = 0;
+
+    return {
+        format: 'bubbleprinter-job',
+        version: JOB_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        settings: { ...model.settings, ...extraSettings },
+        bubbleCount: model.bubbleCount,
+        supportCount: model.supportCount,
+        raftCount: model.countBubbles('raft'),
+        brimCount: model.countBubbles('brim'),
+        sizeCounts: model.getSizeCounts(),
+        layerCount: layers.length,
+        raftLayerCount: layers.filter(layer => layer.type === 'raft').length,
+        layers: layers.map(layer => ({
+            index: layer.index,
+            z: layer.z,
+            type: layer.type,
+            bubbles: layer.bubbles.map(b => ({
+                order: order++,
+                id: b.id,
+                x: b.x,
+                y: b.y,
+                z: b.z,
+                radius: b.radius,
+                flatten: !!b.cut,
+                type: b.type
+            }))
+        }))
+    };
+}
+
+/**
+ * Serializes a print job to JSON.
+ * @param {Object} job
+ * @returns {string}
+ */
+export function jobToJSON(job) {
+    return JSON.stringify(job, null, 2);
+}
+
+/**
+ * Serializes a print job to the line-based G-code-like dialect.
+ * @param {Object} job
+ * @returns {string}
+ */
+export function jobToGCode(job) {
+    const f = (v) => (Math.abs(v) < 5e-5 ? 0 : v).toFixed(4); // Avoid "-0.0000"
+    const lines = [
+        '; BubblePrinter job',
+        `; format version: ${job.version}`,
+        `; created: ${job.createdAt}`,
+        `; bubbles: ${job.bubbleCount}, layers: ${job.layerCount}`,
+        `; support bubbles: ${job.supportCount || 0}`,
+        `; raft bubbles: ${job.raftCount || 0} in ${job.raftLayerCount || 0} layers`,
+        `; brim bubbles: ${job.brimCount || 0}`
+    ];
+
+    (job.sizeCounts || []).forEach(({ radius, count }) => {
+        lines.push(`; bubbles of radius ${f(radius)}: ${count}`);
+    });
+
+    Object.entries(job.settings).forEach(([key, value]) => {
+        lines.push(`; ${key}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`);
+    });
+
+    lines.push('G21 ; millimetres');
+    lines.push('G90 ; absolute positioning');
+
+    job.layers.forEach(layer => {
+        lines.push(`;LAYER:${layer.index} Z${f(layer.z)}${layer.type === 'raft' ? ' raft' : ''}`);
+        layer.bubbles.forEach(b => {
+            const sacrificial = b.type !== 'model';
+            lines.push(`G0 X${f(b.x)} Y${f(b.y)} Z${f(b.z)}`);
+            lines.push(`M800 R${f(b.radius)} P${b.flatten ? 1 : 0} S${sacrificial ? 1 : 0} ; ${sacrificial ? b.type : 'bubble'} ${b.order}`);
+        });
+    });
+
+    lines.push('; end of job');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Triggers a browser download of a text file.
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mimeType
+ */
+export function downloadText(filename, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Some browsers start the download asynchronously, so keep the URL alive until then
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
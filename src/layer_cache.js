@@ -0,0 +1,177 @@
+import { sliceLayers, getObjectSliceIndices } from './geometry_utils_v2.js';
+import { bubbleWorker } from './bubble_worker_client.js';
+import { buildContourTree, createStitchReport } from './slice_core.js';
+
+/**
+ * Cache of full-model slicing passes. Each entry holds the contours of every
+ * layer height of one source (a mesh object or a BubbleModel) and is keyed by
+ * the source state (geometry, world transform, bubble count) plus the heights,
+ * so the slider, 2D preview and bubble generator can reuse the same pass.
+ * Meshes can also be sliced in the bubble worker (getLayersAsync); the worker posts
+ * the contour trees back and they are cached like a pass sliced here.
+ */
+
+const MAX_ENTRIES = 8;
+
+// Stable ids for BubbleModels (they have no uuid)
+const sourceIds = new WeakMap();
+let nextSourceId = 1;
+
+/**
+ * Describes the current state of a slice source.
+ * @param {THREE.Object3D|BubbleModel} source
+ * @returns {string}
+ */
+function getSourceKey(source) {
+    if (!source.isObject3D) {
+        if (!sourceIds.has(source)) sourceIds.set(source, nextSourceId++);
+        return `bubbles:${sourceIds.get(source)}:${source.bubbleCount}`;
+    }
+
+    source.updateMatrixWorld(true);
+    const parts = [];
+    source.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return;
+        const geometry = child.geometry;
+        parts.push(`${geometry.uuid}@${geometry.attributes.position.version}[${child.matrixWorld.elements.join(',')}]`);
+    });
+    return `mesh:${parts.join('|')}`;
+}
+
+export class LayerCache {
+    constructor(maxEntries = MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> { layers, report }, in least-recently-used order
+        this.pendingPass = null; // { key, jobId, promise } of the last pass started in the worker
+    }
+
+    /**
+     * Cache key of a pass: the source state plus the heights.
+     * Take it before handing the source to the worker, in case the source changes meanwhile.
+     * @param {THREE.Object3D|BubbleModel} source
+     * @param {Array<number>} heights
+     * @returns {string}
+     */
+    getKey(source, heights) {
+        return `${getSourceKey(source)}#${heights.map(z => z.toFixed(5)).join(',')}`;
+    }
+
+    /**
+     * Returns a cached pass without slicing on a miss.
+     * @param {string} key - See getKey
+     * @returns {{layers: Array<Array<ContourNode>>, report: Object}|null}
+     */
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Refresh LRU position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Stores a pass sliced elsewhere (the bubble worker).
+     * @param {string} key - See getKey
+     * @param {{layers: Array<Array<ContourNode>>, report: Object}} entry
+     */
+    store(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Same as getLayers plus getReport, but a mesh missing from the cache is sliced in
+     * the shared bubble worker so the UI stays responsive. Like every worker job, the pass
+     * cancels the job running before it; asking for the running pass again shares it.
+     * Bubble models are sliced here (they only slice the bubbles around each height).
+     * @param {THREE.Object3D|BubbleModel} source
+     * @param {Array<number>} heights
+     * @param {function({phase: string, layer: number, layerCount: number}): void} [onProgress]
+     * @returns {Promise<{layers: Array<Array<ContourNode>>, report: Object}>} Rejects with an AbortError when cancelled
+     */
+    getLayersAsync(source, heights, onProgress = null) {
+        const key = this.getKey(source, heights);
+        const entry = this.peek(key);
+        if (entry) return Promise.resolve(entry);
+
+        const pending = this.pendingPass;
+        if (pending && pending.key === key && bubbleWorker.isRunning(pending.jobId)) return pending.promise;
+        if (!source.isObject3D || !bubbleWorker.isAvailable()) {
+            return Promise.resolve(this._getEntry(source, heights));
+        }
+
+        const start = performance.now();
+        const { jobId, promise } = bubbleWorker.run({ type: 'slice', heights }, getObjectSliceIndices(source), (message) => {
+            if (message.type === 'progress' && onProgress) onProgress(message);
+        });
+        const pass = promise.then(({ layers, report }) => {
+            const sliced = { layers, report };
+            this.store(key, sliced);
+            console.log(`[LayerCache] Worker sliced ${heights.length} layers in ${(performance.now() - start).toFixed(0)} ms.`);
+            return sliced;
+        });
+        this.pendingPass = { key, jobId, promise: pass };
+        return pass;
+    }
+
+    /**
+     * Cancels the pass running in the worker for getLayersAsync (if any), leaving other
+     * worker jobs alone. Its promise rejects with an AbortError.
+     */
+    cancel() {
+        if (this.pendingPass) bubbleWorker.cancel(this.pendingPass.jobId);
+        this.pendingPass = null;
+    }
+
+    /**
+     * Returns the contour tree of every height, slicing the whole source in one pass on a miss.
+     * @param {THREE.Object3D|BubbleModel} source
+     * @param {Array<number>} heights
+     * @returns {Array<Array<ContourNode>>} Contour tree per height
+     */
+    getLayers(source, heights) {
+        return this._getEntry(source, heights).layers;
+    }
+
+    /**
+     * Returns the stitching report of the pass (contours that could not be closed, per layer index).
+     * @param {THREE.Object3D|BubbleModel} source
+     * @param {Array<number>} heights
+     * @returns {{mergedVertices: number, closedGaps: number, openContours: Array<{layer: number, z: number, points: Array<[number, number]>}>}}
+     */
+    getReport(source, heights) {
+        return this._getEntry(source, heights).report;
+    }
+
+    _getEntry(source, heights) {
+        const key = this.getKey(source, heights);
+
+        let entry = this.peek(key);
+        if (entry) return entry;
+
+        const start = performance.now();
+        const report = createStitchReport();
+        const layers = source.isObject3D
+            ? sliceLayers(source, heights, report)
+            // Bubbles overlap, never nest; each height only visits the bubbles bucketed around it
+            : heights.map(z => buildContourTree(source.getSliceContours(z), false));
+        console.log(`[LayerCache] Sliced ${heights.length} layers in ${(performance.now() - start).toFixed(0)} ms.`);
+
+        entry = { layers, report };
+        this.store(key, entry);
+        return entry;
+    }
+
+    clear() {
+        this.cancel();
+        this.entries.clear();
+    }
+}
+
+// Shared by the slicer and the bubble generator
+export const layerCache = new LayerCache();
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+
+/**
+ * Import-time mesh health check and repair.
+ *
+ * Analysis (per mesh, in local space, after welding coincident vertices):
+ *   - duplicateVertices: vertices sharing a position with another vertex
+ *   - degenerateTriangles: triangles with zero area or repeated corners
+ *   - boundaryEdges / holes: edges used by a single triangle, chained into hole loops
+ *   - nonManifoldEdges: edges shared by more than two triangles
+ *   - flippedEdges: edges whose two triangles disagree on winding (flipped normals)
+ *
+ * Repair: weld, drop degenerate triangles, fill holes, unify winding (outward).
+ */
+
+// Weld tolerance relative to the mesh bounding box diagonal
+const WELD_TOLERANCE = 1e-5;
+
+/**
+ * Welds the positions of a geometry and returns indexed triangles.
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{positions: Array<number>, triangles: Array<[number, number, number]>, vertexCount: number}}
+ */
+function weldGeometry(geometry) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+
+    geometry.computeBoundingBox();
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+    const tolerance = diagonal * WELD_TOLERANCE;
+
+    const keyToId = new Map();
+    const remap = new Array(position.count);
+    const positions = [];
+
+    for (let i = 0; i < position.count; i++) {
+        const x = position.getX(i), y = position.getY(i), z = position.getZ(i);
+        const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
+        let id = keyToId.get(key);
+        if (id === undefined) {
+            id = positions.length / 3;
+            keyToId.set(key, id);
+            positions.push(x, y, z);
+        }
+        remap[i] = id;
+    }
+
+    const triangles = [];
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const a = index ? index.getX(i) : i;
+        const b = index ? index.getX(i + 1) : i + 1;
+        const c = index ? index.getX(i + 2) : i + 2;
+        triangles.push([remap[a], remap[b], remap[c]]);
+    }
+
+    return { positions, triangles, vertexCount: position.count };
+}
+
+function isDegenerate(positions, [a, b, c]) {
+    if (a === b || b === c || c === a) return true;
+
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const ux = positions[b * 3] - ax, uy = positions[b * 3 + 1] - ay, uz = positions[b * 3 + 2] - az;
+    const vx = positions[c * 3] - ax, vy = positions[c * 3 + 1] - ay, vz = positions[c * 3 + 2] - az;
+    const cx = uy * vz - uz * vy, cy = uz * vx - ux * vz, cz = ux * vy - uy * vx;
+    return (cx * cx + cy * cy + cz * cz) === 0;
+}
+
+/**
+ * Builds the undirected edge map: "min,max" -> [{ tri, from, to }]
+ */
+function buildEdgeMap(triangles) {
+    const edges = new Map();
+    triangles.forEach((tri, t) => {
+        for (let k = 0; k < 3; k++) {
+            const from = tri[k];
+            const to = tri[(k + 1) % 3];
+            const key = from < to ? `${from},${to}` : `${to},${from}`;
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push({ tri: t, from, to });
+        }
+    });
+    return edges;
+}
+
+/**
+ * Chains boundary edges into hole loops. Each loop is returned in the direction
+ * that closes the hole consistently with the adjacent triangles (reverse of their edges).
+ * @returns {Array<Array<number>>}
+ */
+function findHoleLoops(edges) {
+    const next = new Map(); // vertex -> list of next vertices along hole boundaries
+    edges.forEach(uses => {
+        if (uses.length !== 1) return;
+        const { from, to } = uses[0];
+        if (!next.has(to)) next.set(to, []);
+        next.get(to).push(from);
+    });
+
+    const loops = [];
+    const used = new Set();
+    next.forEach((targets, start) => {
+        targets.forEach(first => {
+            const startKey = `${start}>${first}`;
+            if (used.has(startKey)) return;
+
+            const loop = [start];
+            used.add(startKey);
+            let current = first;
+            let guard = 0;
+            while (current !== start && guard++ < 100000) {
+                loop.push(current);
+                const candidates = (next.get(current) || []).filter(v => !used.has(`${current}>${v}`));
+                if (candidates.length === 0) break; // Open chain (non-manifold boundary)
+                used.add(`${current}>${candidates[0]}`);
+                current = candidates[0];
+            }
+            if (current === start && loop.length >= 3) {
+                loops.push(loop);
+            }
+        });
+    });
+    return loops;
+}
+
+function analyzeWelded({ positions, triangles, vertexCount }) {
+    const report = {
+        triangles: triangles.length,
+        vertices: positions.length / 3,
+        duplicateVertices: vertexCount - positions.length / 3,
+        degenerateTriangles: 0,
+        boundaryEdges: 0,
+        holes: 0,
+        nonManifoldEdges: 0,
+        flippedEdges: 0
+    };
+
+    const valid = triangles.filter(tri => {
+        if (isDegenerate(positions, tri)) {
+            report.degenerateTriangles++;
+            return false;
+        }
+        return true;
+    });
+
+    const edges = buildEdgeMap(valid);
+    edges.forEach(uses => {
+        if (uses.length === 1) report.boundaryEdges++;
+        else if (uses.length > 2) report.nonManifoldEdges++;
+        else if (uses[0].from === uses[1].from) report.flippedEdges++; // Same direction = opposite winding
+    });
+
+    report.holes = findHoleLoops(edges).length;
+    return report;
+}
+
+/**
+ * Sums two reports field by field.
+ */
+function mergeReports(total, report) {
+    Object.keys(report).forEach(key => {
+        total[key] = (total[key] || 0) + report[key];
+    });
+    return total;
+}
+
+/**
+ * Analyzes every mesh of an object.
+ * @param {THREE.Object3D} object
+ * @returns {{meshes: number, triangles: number, vertices: number, duplicateVertices: number,
+ *   degenerateTriangles: number, boundaryEdges: number, holes: number, nonManifoldEdges: number,
+ *   flippedEdges: number, healthy: boolean}}
+ */
+export function analyzeMesh(object) {
+    const total = {
+        meshes: 0, triangles: 0, vertices: 0, duplicateVertices: 0, degenerateTriangles: 0,
+        boundaryEdges: 0, holes: 0, nonManifoldEdges: 0, flippedEdges: 0
+    };
+
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return;
+        total.meshes++;
+        mergeReports(total, analyzeWelded(weldGeometry(child.geometry)));
+    });
+
+    total.healthy = total.degenerateTriangles === 0 && total.boundaryEdges === 0
+        && total.nonManifoldEdges === 0 && total.flippedEdges === 0;
+    return total;
+}
+
+/**
+ * Flips triangles so neighbours share a consistent winding, then orients every
+ * connected component outward (positive signed volume).
+ * @returns {number} Number of triangles whose winding changed
+ */
+function unifyWinding(positions, triangles) {
+    const edges = buildEdgeMap(triangles);
+    const component = new Array(triangles.length).fill(-1);
+    const flippedState = new Array(triangles.length).fill(false);
+    let componentCount = 0;
+
+    const flip = (t) => {
+        const tri = triangles[t];
+        [tri[1], tri[2]] = [tri[2], tri[1]];
+        flippedState[t] = !flippedState[t];
+    };
+    const directedEdges = (tri) => [[tri[0], tri[1]], [tri[1], tri[2]], [tri[2], tri[0]]];
+
+    for (let seed = 0; seed < triangles.length; seed++) {
+        if (component[seed] !== -1) continue;
+        const id = componentCount++;
+        component[seed] = id;
+        const queue = [seed];
+
+        while (queue.length > 0) {
+            const t = queue.pop();
+            directedEdges(triangles[t]).forEach(([from, to]) => {
+                const key = from < to ? `${from},${to}` : `${to},${from}`;
+                const uses = edges.get(key);
+                if (uses.length !== 2) return; // Only walk across manifold edges
+
+                const other = uses[0].tri === t ? uses[1].tri : uses[0].tri;
+                if (component[other] !== -1) return;
+
+                // A consistent neighbour traverses the shared edge the other way round
+                const otherTri = triangles[other];
+                const sameDirection = directedEdges(otherTri).some(([f, g]) => f === from && g === to);
+                if (sameDirection) {
+                    flip(other);
+                }
+                component[other] = id;
+                queue.push(other);
+            });
+        }
+    }
+
+    // Orient each component outward using its signed volume
+    const volumes = new Array(componentCount).fill(0);
+    triangles.forEach((tri, t) => {
+        const [a, b, c] = tri.map(v => v * 3);
+        volumes[component[t]] += (
+            positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+            positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+            positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])
+        ) / 6;
+    });
+    triangles.forEach((tri, t) => {
+        if (volumes[component[t]] < 0) {
+            flip(t);
+        }
+    });
+
+    // Net number of triangles whose winding changed
+    return flippedState.filter(Boolean).length;
+}
+
+/**
+ * Closes hole loops with a fan around the loop centroid.
+ * @returns {number} Number of holes filled
+ */
+function fillHoles(positions, triangles) {
+    const loops = findHoleLoops(buildEdgeMap(triangles));
+
+    loops.forEach(loop => {
+        const center = [0, 0, 0];
+        loop.forEach(v => {
+            center[0] += positions[v * 3];
+            center[1] += positions[v * 3 + 1];
+            center[2] += positions[v * 3 + 2];
+        });
+        const centerId = positions.length / 3;
+        positions.push(center[0] / loop.length, center[1] / loop.length, center[2] / loop.length);
+
+        // Loop runs opposite to the boundary triangles, so this winding matches them
+        for (let i = 0; i < loop.length; i++) {
+            triangles.push([loop[i], loop[(i + 1) % loop.length], centerId]);
+        }
+    });
+
+    return loops.length;
+}
+
+/**
+ * Repairs a single geometry and returns a new indexed geometry.
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{geometry: THREE.BufferGeometry, stats: {welded: number, removedDegenerate: number, flipped: number, filledHoles: number}}}
+ */
+export function repairGeometry(geometry) {
+    const welded = weldGeometry(geometry);
+    const { positions } = welded;
+
+    const triangles = welded.triangles.filter(tri => !isDegenerate(positions, tri));
+    const removedDegenerate = welded.triangles.length - triangles.length;
+    // fillHoles adds a centroid vertex per hole, so count the welded vertices first
+    const weldedCount = welded.vertexCount - positions.length / 3;
+
+    const filledHoles = fillHoles(positions, triangles);
+    const flipped = unifyWinding(positions, triangles);
+
+    const repaired = new THREE.BufferGeometry();
+    repaired.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    repaired.setIndex(triangles.flat());
+    repaired.computeVertexNormals();
+
+    return {
+        geometry: repaired,
+        stats: {
+            welded: weldedCount,
+            removedDegenerate,
+            flipped,
+            filledHoles
+        }
+    };
+}
+
+/**
+ * Repairs every mesh of an object in place (geometries are replaced).
+ * @param {THREE.Object3D} object
+ * @returns {{welded: number, removedDegenerate: number, flipped: number, filledHoles: number}}
+ */
+export function repairMesh(object) {
+    const total = { welded: 0, removedDegenerate: 0, flipped: 0, filledHoles: 0 };
+
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return;
+        const { geometry, stats } = repairGeometry(child.geometry);
+        child.geometry.dispose();
+        child.geometry = geometry;
+        mergeReports(total, stats);
+    });
+
+    console.log(`[MeshHealth] Repair: welded ${total.welded} vertices, removed ${total.removedDegenerate} degenerate triangles, flipped ${total.flipped}, filled ${total.filledHoles} holes.`);
+    return total;
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { ThreeMFLoader } from 'three/addons/loaders/3MFLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+const objLoader = new OBJLoader();
+const stlLoader = new STLLoader();
+const threeMFLoader = new ThreeMFLoader();
+const gltfLoader = new GLTFLoader();
+
+// Extensions accepted by the file input
+export const SUPPORTED_EXTENSIONS = ['.obj', '.stl', '.3mf', '.gltf', '.glb'];
+
+/**
+ * Detects the model format from the file extension, falling back to the file's magic bytes.
+ * @param {string} fileName
+ * @param {ArrayBuffer} buffer
+ * @returns {'obj'|'stl'|'3mf'|'gltf'|null}
+ */
+export function detectModelFormat(fileName, buffer) {
+    const ext = (fileName || '').split('.').pop().toLowerCase();
+    if (ext === 'obj') return 'obj';
+    if (ext === 'stl') return 'stl';
+    if (ext === '3mf') return '3mf';
+    if (ext === 'gltf' || ext === 'glb') return 'gltf';
+
+    return detectFormatFromContent(buffer);
+}
+
+/**
+ * Guesses the format from the file contents.
+ * GLB: "glTF" magic. 3MF: ZIP package ("PK\x03\x04").
+ * Binary STL: 80 byte header + uint32 triangle count, 50 bytes per triangle.
+ * ASCII STL: starts with "solid" and contains "facet".
+ * glTF (JSON): contains an "asset" object.
+ * OBJ: text with "v x y z" vertex lines.
+ * @param {ArrayBuffer} buffer
+ * @returns {'obj'|'stl'|'3mf'|'gltf'|null}
+ */
+function detectFormatFromContent(buffer) {
+    const magic = new Uint8Array(buffer.slice(0, 4));
+    const magicText = String.fromCharCode(...magic);
+    if (magicText === 'glTF') return 'gltf';
+    if (magicText === 'PK\x03\x04') return '3mf';
+
+    if (buffer.byteLength >= 84) {
+        const triangleCount = new DataView(buffer).getUint32(80, true);
+        if (84 + triangleCount * 50 === buffer.byteLength) return 'stl';
+    }
+
+    const head = new TextDecoder().decode(buffer.slice(0, 1024));
+    if (/^\s*solid/.test(head) && head.includes('facet')) return 'stl';
+    if (/^\s*\{/.test(head) && head.includes('"asset"')) return 'gltf';
+    if (/^\s*v\s+[-\d.]/m.test(head)) return 'obj';
+
+    return null;
+}
+
+/**
+ * Parses a glTF/GLB buffer. Only self-contained files (GLB or embedded buffers) are supported:
+ * the loader only gets the file's bytes, so external .bin files and textures cannot be resolved.
+ * @param {ArrayBuffer} buffer
+ * @param {string} fileName - For the error message
+ * @returns {Promise<THREE.Group>}
+ */
+function parseGLTF(buffer, fileName) {
+    const external = getExternalResources(buffer);
+    if (external.length > 0) {
+        return Promise.reject(new Error(`${fileName} references external files (${external.join(', ')}). `
+            + 'Only self-contained glTF files are supported: export it as GLB or with embedded resources.'));
+    }
+
+    return new Promise((resolve, reject) => {
+        gltfLoader.parse(buffer, '', (gltf) => resolve(gltf.scene), reject);
+    });
+}
+
+/**
+ * Lists the buffer and image URIs of a glTF/GLB file that point to other files (not data: URIs).
+ * A GLB's binary chunk is referenced by a buffer without a URI.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<string>}
+ */
+function getExternalResources(buffer) {
+    let jsonBytes = buffer;
+    if (String.fromCharCode(...new Uint8Array(buffer.slice(0, 4))) === 'glTF') {
+        // GLB: 12 byte header, then the JSON chunk (uint32 length, uint32 type, data)
+        const chunkLength = new DataView(buffer).getUint32(12, true);
+        jsonBytes = buffer.slice(20, 20 + chunkLength);
+    }
+
+    let json;
+    try {
+        json = JSON.parse(new TextDecoder().decode(jsonBytes));
+    } catch (error) {
+        return []; // Left to the loader to report
+    }
+
+    return [...(json.buffers || []), ...(json.images || [])]
+        .map(resource => resource.uri)
+        .filter(uri => uri && !uri.startsWith('data:'));
+}
+
+/**
+ * Loads a model file (OBJ, STL, 3MF or glTF/GLB) into an Object3D.
+ * Multi-object files keep each part as a named child with its own transform.
+ * The returned object has userData.format and userData.upAxis ('y' for OBJ/glTF, 'z' for STL/3MF)
+ * so the slicer knows whether it still has to be rotated into Z-up, and userData.unit when the
+ * format fixes the unit ('m' for glTF), which then takes precedence over the chosen import unit.
+ * @param {File} file
+ * @returns {Promise<THREE.Object3D>}
+ */
+export async function loadModelFile(file) {
+    const buffer = await file.arrayBuffer();
+    const format = detectModelFormat(file.name, buffer);
+
+    let object;
+    switch (format) {
+        case 'obj':
+            object = objLoader.parse(new TextDecoder().decode(buffer));
+            object.userData.upAxis = 'y'; // Standard OBJ is usually Y-up
+            break;
+        case 'stl': {
+            // STLLoader handles both ASCII and binary
+            const geometry = stlLoader.parse(buffer);
+            object = new THREE.Mesh(geometry);
+            object.userData.upAxis = 'z'; // STL is Z-up by convention
+            break;
+        }
+        case '3mf':
+            // Build items keep their transforms and names
+            object = threeMFLoader.parse(buffer);
+            object.userData.upAxis = 'z'; // 3MF is Z-up by specification
+            break;
+        case 'gltf':
+            object = await parseGLTF(buffer, file.name);
+            object.userData.upAxis = 'y'; // glTF is Y-up by specification
+            object.userData.unit = 'm'; // ...and in metres
+            break;
+        default:
+            throw new Error(`Unsupported model format: ${file.name}`);
+    }
+
+    object.name = object.name || file.name;
+    object.userData.format = format;
+    object.userData.parts = collectPartNames(object);
+    console.log(`[ModelLoader] Loaded ${file.name} as ${format.toUpperCase()} with ${object.userData.parts.length} part(s): ${object.userData.parts.join(', ')}`);
+    return object;
+}
+
+/**
+ * Lists the names of all meshes in the object (unnamed parts get a numbered name).
+ * @param {THREE.Object3D} object
+ * @returns {Array<string>}
+ */
+function collectPartNames(object) {
+    const names = [];
+    object.traverse((child) => {
+        if (child.isMesh) {
+            if (!child.name) child.name = `Part ${names.length + 1}`;
+            names.push(child.name);
+        }
+    });
+    return names;
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+/**
+ * Placement helpers for the loaded model. All operations work in world space
+ * (Z-up, mm) on the model's root object.
+ */
+
+const DOWN = new THREE.Vector3(0, 0, -1);
+
+/**
+ * Moves the object vertically so its lowest point sits on the bed (Z = 0).
+ * @param {THREE.Object3D} object
+ * @returns {THREE.Box3} World bounds after the drop
+ */
+export function dropToBed(object) {
+    object.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object);
+    object.position.z -= box.min.z;
+    object.updateMatrixWorld(true);
+    box.translate(new THREE.Vector3(0, 0, -box.min.z));
+    return box;
+}
+
+/**
+ * Applies a world-space matrix to the object about its bounding box center.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Matrix4} matrix
+ */
+function applyAboutCenter(object, matrix) {
+    object.updateMatrixWorld(true);
+    const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+
+    const transform = new THREE.Matrix4().makeTranslation(center.x, center.y, center.z)
+        .multiply(matrix)
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+
+    object.applyMatrix4(transform);
+    object.updateMatrixWorld(true);
+}
+
+/**
+ * Mirrors the object along a world axis, about its own center.
+ * @param {THREE.Object3D} object
+ * @param {'x'|'y'|'z'} axis
+ */
+export function mirrorObject(object, axis) {
+    const s = { x: 1, y: 1, z: 1 };
+    s[axis] = -1;
+    applyAboutCenter(object, new THREE.Matrix4().makeScale(s.x, s.y, s.z));
+}
+
+/**
+ * Rotates the object so the given world-space face normal points down onto the bed,
+ * then drops it to Z = 0.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Vector3} worldNormal
+ */
+export function layFlat(object, worldNormal) {
+    const normal = worldNormal.clone().normalize();
+    const rotation = new THREE.Quaternion().setFromUnitVectors(normal, DOWN);
+    applyAboutCenter(object, new THREE.Matrix4().makeRotationFromQuaternion(rotation));
+    dropToBed(object);
+}
+
+/**
+ * Returns the world-space normal of a raycast hit face.
+ * @param {THREE.Intersection} intersection
+ * @returns {THREE.Vector3|null}
+ */
+export function getWorldFaceNormal(intersection) {
+    if (!intersection.face) return null;
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(intersection.object.matrixWorld);
+    return intersection.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+}
+
+/**
+ * Reads the editable placement of an object: XY position of its bounds center (mm),
+ * rotation (degrees, XYZ Euler) and scale factors.
+ * @param {THREE.Object3D} object
+ */
+export function getPlacement(object) {
+    object.updateMatrixWorld(true);
+    const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+    return {
+        position: { x: center.x, y: center.y },
+        rotation: {
+            x: THREE.MathUtils.radToDeg(object.rotation.x),
+            y: THREE.MathUtils.radToDeg(object.rotation.y),
+            z: THREE.MathUtils.radToDeg(object.rotation.z)
+        },
+        scale: { x: object.scale.x, y: object.scale.y, z: object.scale.z }
+    };
+}
+
+/**
+ * Applies a placement (as returned by getPlacement) and drops the object to the bed.
+ * @param {THREE.Object3D} object
+ * @param {{position: {x, y}, rotation: {x, y, z}, scale: {x, y, z}}} placement
+ */
+export function setPlacement(object, placement) {
+    const { position, rotation, scale } = placement;
+    object.rotation.set(
+        THREE.MathUtils.degToRad(rotation.x),
+        THREE.MathUtils.degToRad(rotation.y),
+        THREE.MathUtils.degToRad(rotation.z)
+    );
+    object.scale.set(scale.x, scale.y, scale.z);
+    object.updateMatrixWorld(true);
+
+    // Move the bounds center to the requested XY position
+    const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+    object.position.x += position.x - center.x;
+    object.position.y += position.y - center.y;
+    dropToBed(object);
+}
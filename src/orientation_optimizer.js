@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+
+/**
+ * Auto-orientation for bubble printing.
+ * Candidate orientations are scored on the world-space triangles of the model:
+ *   - overhang area: downward-facing surface that is not on the bed (needs bubbles in mid-air)
+ *   - base contact area: downward-facing surface lying on the bed (flattened first layer)
+ *   - height: number of bubble layers needed
+ * Lower score is better. Apply the chosen candidate with layFlat(object, candidate.down).
+ */
+
+const DOWN = new THREE.Vector3(0, 0, -1);
+
+// Scoring weights
+const DEFAULT_WEIGHTS = {
+    unsupported: 1.0, // per unsupported bubble (overhang area / bubble footprint)
+    contact: 0.5, // bonus per bubble of base contact area
+    layers: 0.2 // per bubble layer
+};
+
+/**
+ * Collects the world-space triangles of an object into a flat Float32Array (9 floats per triangle).
+ * @param {THREE.Object3D} object
+ * @returns {Float32Array}
+ */
+function collectTriangles(object) {
+    object.updateMatrixWorld(true);
+    const values = [];
+    const v = new THREE.Vector3();
+
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const position = child.geometry.attributes.position;
+        if (!position) return;
+
+        const index = child.geometry.index;
+        const count = index ? index.count : position.count;
+        for (let i = 0; i < count; i++) {
+            v.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+            values.push(v.x, v.y, v.z);
+        }
+    });
+
+    return new Float32Array(values);
+}
+
+/**
+ * Candidate "down" directions: the 26 axis/edge/corner directions plus the normals
+ * of the largest faces (good lay-flat candidates).
+ * @param {Float32Array} triangles
+ * @param {number} faceCandidates
+ * @returns {Array<THREE.Vector3>}
+ */
+function getCandidateDirections(triangles, faceCandidates) {
+    const directions = [];
+    for (let x = -1; x <= 1; x++) {
+        for (let y = -1; y <= 1; y++) {
+            for (let z = -1; z <= 1; z++) {
+                if (x === 0 && y === 0 && z === 0) continue;
+                directions.push(new THREE.Vector3(x, y, z).normalize());
+            }
+        }
+    }
+
+    // Group face normals (rounded) by total area and keep the largest groups
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const ab = new THREE.Vector3(), ac = new THREE.Vector3(), n = new THREE.Vector3();
+    const areas = new Map();
+    for (let i = 0; i < triangles.length; i += 9) {
+        a.fromArray(triangles, i);
+        b.fromArray(triangles, i + 3);
+        c.fromArray(triangles, i + 6);
+        n.crossVectors(ab.subVectors(b, a), ac.subVectors(c, a));
+        const area = n.length() / 2;
+        if (area === 0) continue;
+        n.normalize();
+        const key = `${n.x.toFixed(2)},${n.y.toFixed(2)},${n.z.toFixed(2)}`;
+        const entry = areas.get(key) || { normal: n.clone(), area: 0 };
+        entry.area += area;
+        areas.set(key, entry);
+    }
+
+    [...areas.values()]
+        .sort((p, q) => q.area - p.area)
+        .slice(0, faceCandidates)
+        .forEach(({ normal }) => directions.push(normal));
+
+    // Drop near-duplicates
+    return directions.filter((d, i) => !directions.slice(0, i).some(o => o.dot(d) > 0.999));
+}
+
+/**
+ * Scores the orientation in which `down` points to the bed.
+ * @param {Float32Array} triangles - World-space triangles
+ * @param {THREE.Vector3} down - Direction in current world space that becomes -Z
+ * @param {Object} options
+ */
+function scoreOrientation(triangles, down, options) {
+    const { bubbleRadius, layerStep, overhangAngle, weights } = options;
+    const rotation = new THREE.Quaternion().setFromUnitVectors(down, DOWN);
+
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const ab = new THREE.Vector3(), ac = new THREE.Vector3(), n = new THREE.Vector3();
+
+    // First pass: Z range after rotation
+    let minZ = Infinity, maxZ = -Infinity;
+    for (let i = 0; i < triangles.length; i += 3) {
+        a.fromArray(triangles, i).applyQuaternion(rotation);
+        minZ = Math.min(minZ, a.z);
+        maxZ = Math.max(maxZ, a.z);
+    }
+
+    const bedTolerance = Math.max(bubbleRadius * 0.5, (maxZ - minZ) * 1e-3);
+    const overhangCos = Math.cos(THREE.MathUtils.degToRad(overhangAngle));
+    let overhangArea = 0;
+    let contactArea = 0;
+
+    for (let i = 0; i < triangles.length; i += 9) {
+        a.fromArray(triangles, i).applyQuaternion(rotation);
+        b.fromArray(triangles, i + 3).applyQuaternion(rotation);
+        c.fromArray(triangles, i + 6).applyQuaternion(rotation);
+
+        ab.subVectors(b, a);
+        ac.subVectors(c, a);
+        n.crossVectors(ab, ac);
+        const doubleArea = n.length();
+        if (doubleArea === 0) continue;
+
+        const nz = n.z / doubleArea;
+        if (nz >= -overhangCos) continue; // Not facing down steeply enough
+
+        // Projected (footprint) area of the downward face
+        const projected = (doubleArea / 2) * -nz;
+        // On the bed only if the whole face is
+        const highest = Math.max(a.z, b.z, c.z);
+        if (highest - minZ <= bedTolerance) {
+            contactArea += projected;
+        } else {
+            overhangArea += projected;
+        }
+    }
+
+    const bubbleFootprint = Math.PI * bubbleRadius * bubbleRadius;
+    const unsupportedBubbles = overhangArea / bubbleFootprint;
+    const contactBubbles = contactArea / bubbleFootprint;
+    const layers = Math.ceil((maxZ - minZ) / layerStep);
+
+    const score = weights.unsupported * unsupportedBubbles
+        - weights.contact * contactBubbles
+        + weights.layers * layers;
+
+    return {
+        down: down.clone(),
+        rotation,
+        score,
+        unsupportedBubbles: Math.round(unsupportedBubbles),
+        contactArea,
+        layers
+    };
+}
+
+/**
+ * Evaluates candidate orientations of an object and returns them sorted best first.
+ * @param {THREE.Object3D} object
+ * @param {Object} options
+ * @param {number} options.bubbleRadius - Bubble radius in mm
+ * @param {number} options.layerStep - Vertical bubble layer pitch in mm
+ * @param {number} [options.overhangAngle=45] - Faces steeper than this (from straight down) need support
+ * @param {number} [options.faceCandidates=12] - Number of large-face normals added as candidates
+ * @param {Object} [options.weights] - Scoring weights (unsupported, contact, layers)
+ * @returns {Array<{down: THREE.Vector3, rotation: THREE.Quaternion, score: number, unsupportedBubbles: number, contactArea: number, layers: number}>}
+ */
+export function findBestOrientations(object, options) {
+    const settings = {
+        overhangAngle: 45,
+        faceCandidates: 12,
+        ...options,
+        weights: { ...DEFAULT_WEIGHTS, ...(options.weights || {}) }
+    };
+
+    const triangles = collectTriangles(object);
+    const candidates = getCandidateDirections(triangles, settings.faceCandidates);
+    console.log(`[Orientation] Scoring ${candidates.length} candidate orientations over ${triangles.length / 9} triangles...`);
+
+    return candidates
+        .map(down => scoreOrientation(triangles, down, settings))
+        .sort((p, q) => p.score - q.score);
+}
@@ -0,0 +1,72 @@
+/**
+ * Overhang analysis for bubble models (no three.js).
+ * A bubble can only be inflated on something: the bed, or a lower bubble it touches
+ * within the overhang cone (at most maxAngle from straight down). Bubbles without
+ * such a neighbour would have to be inflated in mid-air and are reported as unsupported.
+ */
+
+export const DEFAULT_OVERHANG_ANGLE = 45; // degrees from vertical
+
+// Extra gap (mm) still counted as touching, for rounding in the bubble centers
+const CONTACT_TOLERANCE = 1e-4;
+
+/**
+ * Finds the bubbles that lack support from below.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {Object} [options]
+ * @param {number} [options.maxAngle=45] - Steepest support direction, in degrees from vertical
+ * @param {number} [options.bedZ] - Height of the bed (default: lowest bubble bottom)
+ * @param {number} [options.interfaceGap=0] - Gap (mm) still counted as contact between a model bubble and a support bubble
+ * @returns {{unsupported: Set<number>, count: number, layers: Array<{layer: number, bubbles: number, unsupported: number}>}}
+ *   Unsupported bubble ids, their count and per-layer totals
+ */
+export function analyzeOverhangs(model, options = {}) {
+    const { maxAngle = DEFAULT_OVERHANG_ANGLE, bedZ = getLowestBottom(model), interfaceGap = 0 } = options;
+    const coneSlope = Math.tan(maxAngle * Math.PI / 180); // Horizontal offset allowed per mm of drop
+
+    const unsupported = new Set();
+    model.bubbles.forEach(bubble => {
+        if (isSupported(model, bubble, bedZ, coneSlope, interfaceGap)) return;
+        unsupported.add(bubble.id);
+    });
+
+    const layers = model.layers.map(layer => ({
+        layer: layer.index,
+        bubbles: layer.bubbles.length,
+        unsupported: layer.bubbles.filter(b => unsupported.has(b.id)).length
+    }));
+
+    console.log(`[Overhangs] ${unsupported.size} of ${model.bubbleCount} bubbles unsupported (max ${maxAngle}° from vertical).`);
+    return { unsupported, count: unsupported.size, layers };
+}
+
+function getLowestBottom(model) {
+    const bounds = model.getBounds();
+    return bounds ? bounds.min.z : 0;
+}
+
+function isSupported(model, bubble, bedZ, coneSlope, interfaceGap) {
+    // Flattened bubbles and bubbles reaching the bed stand on the bed
+    const bottom = bubble.cut ? bubble.cut.cutZ : bubble.z - bubble.radius;
+    if (bottom <= bedZ + CONTACT_TOLERANCE) return true;
+
+    return model.getNeighbors(bubble.id, CONTACT_TOLERANCE + interfaceGap).some(other => {
+        const drop = bubble.z - other.z;
+        if (drop <= CONTACT_TOLERANCE) return false;
+        const dx = bubble.x - other.x;
+        const dy = bubble.y - other.y;
+        const horizontal = Math.sqrt(dx * dx + dy * dy);
+        if (horizontal > drop * coneSlope + CONTACT_TOLERANCE) return false;
+
+        // The interface gap only separates model bubbles from their supports
+        if (!isSupportInterface(bubble, other)) {
+            const limit = bubble.radius + other.radius + CONTACT_TOLERANCE;
+            return horizontal * horizontal + drop * drop <= limit * limit;
+        }
+        return true;
+    });
+}
+
+function isSupportInterface(a, b) {
+    return (a.type === 'model' && b.type === 'support') || (a.type === 'support' && b.type === 'model');
+}
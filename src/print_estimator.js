@@ -0,0 +1,63 @@
+/**
+ * Print time and material estimate for a bubble model (no three.js).
+ *
+ * Time: every bubble takes the profile's inflation time, the head travels between
+ * bubble centers (in deposition order) at the travel speed, and every layer after
+ * the first adds the layer change time.
+ * Mass: the film of every bubble (its spherical part, plus the flat base of a
+ * flattened bubble) times the film thickness and the material density. Film shared
+ * by overlapping bubbles is counted for both, so the mass is an upper estimate.
+ */
+
+/**
+ * Film area of a bubble in mm².
+ * @param {{radius: number, cut: {thetaLength: number}|null}} bubble
+ * @returns {number}
+ */
+export function getBubbleFilmArea({ radius, cut }) {
+    if (!cut) return 4 * Math.PI * radius * radius;
+
+    // Spherical cap kept from the top pole, closed by a flat disk at the cut
+    const { thetaLength } = cut;
+    const cap = 2 * Math.PI * radius * radius * (1 - Math.cos(thetaLength));
+    const baseRadius = radius * Math.sin(thetaLength);
+    return cap + Math.PI * baseRadius * baseRadius;
+}
+
+/**
+ * Estimates print time and plastic mass.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {{inflationTime: number, travelSpeed: number, layerChangeTime: number,
+ *   filmThickness: number, materialDensity: number}} profile - s, mm/s, s, mm, g/cm³
+ * @returns {{bubbles: number, time: number, mass: number, travel: number,
+ *   layers: Array<{layer: number, type: string, bubbles: number, time: number, mass: number}>}}
+ *   Totals (time in s, mass in g, travel in mm) and the same per non-empty layer
+ */
+export function estimatePrint(model, profile) {
+    const { inflationTime, travelSpeed, layerChangeTime, filmThickness, materialDensity } = profile;
+    const gramsPerMm2 = filmThickness * materialDensity / 1000; // g/cm³ = 1/1000 g/mm³
+
+    const estimate = { bubbles: 0, time: 0, mass: 0, travel: 0, layers: [] };
+    let last = null;
+    model.getNonEmptyLayers().forEach(layer => {
+        let travel = 0;
+        let mass = 0;
+        layer.bubbles.forEach(b => {
+            if (last) travel += Math.hypot(b.x - last.x, b.y - last.y, b.z - last.z);
+            mass += getBubbleFilmArea(b) * gramsPerMm2;
+            last = b;
+        });
+
+        const layerChange = estimate.layers.length > 0 ? layerChangeTime : 0;
+        const time = layerChange + layer.bubbles.length * inflationTime + travel / travelSpeed;
+        estimate.layers.push({ layer: layer.index, type: layer.type, bubbles: layer.bubbles.length, time, mass });
+
+        estimate.bubbles += layer.bubbles.length;
+        estimate.time += time;
+        estimate.mass += mass;
+        estimate.travel += travel;
+    });
+
+    console.log(`[Estimate] ${estimate.bubbles} bubbles, ${(estimate.time / 60).toFixed(1)} min, ${estimate.mass.toFixed(2)} g.`);
+    return estimate;
+}
@@ -0,0 +1,308 @@
+/**
+ * Printer / material profiles for the bubble machine.
+ * A profile constrains and prefills the bubble controls (bubble diameter range,
+ * allowed overlaps, base flatten), sets the slicing layer pitch and the build
+ * volume, and carries machine parameters such as the inflation pressure and the
+ * timing and film values used for print time and material estimates.
+ * Profiles are persisted in localStorage and can be exported/imported as JSON.
+ */
+
+const STORAGE_KEY = 'bubbleprinter.profiles.v1';
+const ACTIVE_KEY = 'bubbleprinter.activeProfile.v1';
+const PROFILE_FORMAT = 'bubbleprinter-profile';
+
+/**
+ * Editable profile fields, in display order. Used for validation and by the editor UI.
+ */
+export const PROFILE_FIELDS = [
+    { key: 'minBubbleDiameter', label: 'Min Bubble Diameter', unit: 'mm', min: 0.01, step: 0.01 },
+    { key: 'maxBubbleDiameter', label: 'Max Bubble Diameter', unit: 'mm', min: 0.01, step: 0.01 },
+    { key: 'defaultBubbleDiameter', label: 'Default Bubble Diameter', unit: 'mm', min: 0.01, step: 0.01 },
+    { key: 'maxOverlapV', label: 'Max Vertical Overlap', unit: '%', min: 0, max: 95, step: 1 },
+    { key: 'defaultOverlapV', label: 'Default Vertical Overlap', unit: '%', min: 0, max: 95, step: 1 },
+    { key: 'maxOverlapH', label: 'Max Horizontal Overlap', unit: '%', min: 0, max: 95, step: 1 },
+    { key: 'defaultOverlapH', label: 'Default Horizontal Overlap', unit: '%', min: 0, max: 95, step: 1 },
+    { key: 'maxBaseFlatten', label: 'Max Base Flatten', unit: '%', min: 0, max: 100, step: 1 },
+    { key: 'defaultBaseFlatten', label: 'Default Base Flatten', unit: '%', min: 0, max: 100, step: 1 },
+    { key: 'layerPitch', label: 'Layer Pitch', unit: 'mm', min: 0.001, step: 0.01 },
+    { key: 'inflationPressure', label: 'Inflation Pressure', unit: 'kPa', min: 0, step: 0.1 },
+    { key: 'inflationTime', label: 'Inflation Time per Bubble', unit: 's', min: 0, step: 0.01 },
+    { key: 'travelSpeed', label: 'Travel Speed', unit: 'mm/s', min: 0.1, step: 1 },
+    { key: 'layerChangeTime', label: 'Layer Change Time', unit: 's', min: 0, step: 0.1 },
+    { key: 'filmThickness', label: 'Film Thickness', unit: 'mm', min: 0.001, step: 0.001 },
+    { key: 'materialDensity', label: 'Material Density', unit: 'g/cm³', min: 0.01, step: 0.01 },
+    { key: 'bedWidth', label: 'Bed Width', unit: 'mm', min: 1, step: 1 },
+    { key: 'bedDepth', label: 'Bed Depth', unit: 'mm', min: 1, step: 1 },
+    { key: 'maxHeight', label: 'Max Height', unit: 'mm', min: 1, step: 1 }
+];
+
+export const DEFAULT_PROFILES = [
+    {
+        id: 'generic',
+        name: 'Generic Bubble Machine',
+        minBubbleDiameter: 0.02,
+        maxBubbleDiameter: 4.0,
+        defaultBubbleDiameter: 1.0,
+        maxOverlapV: 70,
+        defaultOverlapV: 0,
+        maxOverlapH: 70,
+        defaultOverlapH: 0,
+        maxBaseFlatten: 100,
+        defaultBaseFlatten: 50,
+        layerPitch: 0.15,
+        inflationPressure: 35,
+        inflationTime: 0.5,
+        travelSpeed: 50,
+        layerChangeTime: 2,
+        filmThickness: 0.02,
+        materialDensity: 1.24,
+        bedWidth: 200,
+        bedDepth: 200,
+        maxHeight: 200
+    },
+    {
+        id: 'fine-pla-film',
+        name: 'Fine Nozzle / Thin Film',
+        minBubbleDiameter: 0.5,
+        maxBubbleDiameter: 2.0,
+        defaultBubbleDiameter: 1.0,
+        maxOverlapV: 40,
+        defaultOverlapV: 10,
+        maxOverlapH: 40,
+        defaultOverlapH: 10,
+        maxBaseFlatten: 60,
+        defaultBaseFlatten: 40,
+        layerPitch: 0.1,
+        inflationPressure: 20,
+        inflationTime: 0.3,
+        travelSpeed: 40,
+        layerChangeTime: 1.5,
+        filmThickness: 0.01,
+        materialDensity: 1.24,
+        bedWidth: 120,
+        bedDepth: 120,
+        maxHeight: 100
+    },
+    {
+        id: 'large-bubble',
+        name: 'Large Bubble Head',
+        minBubbleDiameter: 4.0,
+        maxBubbleDiameter: 20.0,
+        defaultBubbleDiameter: 8.0,
+        maxOverlapV: 50,
+        defaultOverlapV: 20,
+        maxOverlapH: 50,
+        defaultOverlapH: 20,
+        maxBaseFlatten: 80,
+        defaultBaseFlatten: 50,
+        layerPitch: 0.5,
+        inflationPressure: 60,
+        inflationTime: 1.5,
+        travelSpeed: 80,
+        layerChangeTime: 4,
+        filmThickness: 0.05,
+        materialDensity: 1.24,
+        bedWidth: 400,
+        bedDepth: 400,
+        maxHeight: 400
+    }
+];
+
+/**
+ * Validates and normalizes a profile object.
+ * Missing numeric fields are taken from the generic profile; ranges are made consistent.
+ * @param {Object} data
+ * @returns {Object} A new, valid profile
+ * @throws {Error} If the data is not a usable profile
+ */
+export function validateProfile(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Profile must be an object');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Profile needs a name');
+    }
+
+    const base = DEFAULT_PROFILES[0];
+    const profile = {
+        id: typeof data.id === 'string' && data.id ? data.id : createProfileId(data.name),
+        name: data.name.trim()
+    };
+
+    PROFILE_FIELDS.forEach(({ key, label, min, max }) => {
+        const value = data[key] === undefined ? base[key] : Number(data[key]);
+        if (!Number.isFinite(value)) {
+            throw new Error(`${label} must be a number`);
+        }
+        if (value < min || (max !== undefined && value > max)) {
+            throw new Error(`${label} must be between ${min} and ${max === undefined ? '∞' : max}`);
+        }
+        profile[key] = value;
+    });
+
+    if (profile.minBubbleDiameter > profile.maxBubbleDiameter) {
+        throw new Error('Min bubble diameter is larger than max bubble diameter');
+    }
+
+    // Defaults must lie inside the allowed ranges
+    const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+    profile.defaultBubbleDiameter = clamp(profile.defaultBubbleDiameter, profile.minBubbleDiameter, profile.maxBubbleDiameter);
+    profile.defaultOverlapV = clamp(profile.defaultOverlapV, 0, profile.maxOverlapV);
+    profile.defaultOverlapH = clamp(profile.defaultOverlapH, 0, profile.maxOverlapH);
+    profile.defaultBaseFlatten = clamp(profile.defaultBaseFlatten, 0, profile.maxBaseFlatten);
+
+    return profile;
+}
+
+function createProfileId(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'profile'}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Persistent collection of printer profiles with one active profile.
+ */
+export class ProfileStore {
+    /**
+     * @param {Storage|null} storage - localStorage-like backend (null keeps profiles in memory only)
+     */
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.profiles = [];
+        this.activeId = null;
+        this.load();
+    }
+
+    load() {
+        let stored = null;
+        try {
+            stored = this.storage ? JSON.parse(this.storage.getItem(STORAGE_KEY)) : null;
+        } catch (error) {
+            console.warn('[Profiles] Stored profiles are corrupt, using defaults.', error);
+        }
+
+        this.profiles = [];
+        if (Array.isArray(stored)) {
+            stored.forEach(p => {
+                try {
+                    this.profiles.push(validateProfile(p));
+                } catch (error) {
+                    console.warn(`[Profiles] Skipping invalid stored profile: ${error.message}`);
+                }
+            });
+        }
+        if (this.profiles.length === 0) {
+            this.profiles = DEFAULT_PROFILES.map(p => ({ ...p }));
+        }
+
+        const activeId = this.storage ? this.storage.getItem(ACTIVE_KEY) : null;
+        this.activeId = this.get(activeId) ? activeId : this.profiles[0].id;
+    }
+
+    save() {
+        if (!this.storage) return;
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+        this.storage.setItem(ACTIVE_KEY, this.activeId);
+    }
+
+    list() {
+        return this.profiles;
+    }
+
+    get(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId);
+    }
+
+    setActive(id) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        this.activeId = id;
+        this.save();
+    }
+
+    /**
+     * Adds a new profile (validated) and returns it.
+     */
+    add(data) {
+        const profile = validateProfile({ ...data, id: undefined });
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Replaces the fields of an existing profile.
+     */
+    update(id, data) {
+        const index = this.profiles.findIndex(p => p.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        const profile = validateProfile({ ...this.profiles[index], ...data, id });
+        this.profiles[index] = profile;
+        this.save();
+        return profile;
+    }
+
+    duplicate(id) {
+        const source = this.get(id);
+        if (!source) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        return this.add({ ...source, name: `${source.name} (copy)` });
+    }
+
+    remove(id) {
+        if (this.profiles.length <= 1) {
+            throw new Error('At least one profile must remain');
+        }
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.profiles[0].id;
+        }
+        this.save();
+    }
+
+    /**
+     * Serializes a profile for export.
+     * @returns {string}
+     */
+    exportProfile(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        return JSON.stringify({ format: PROFILE_FORMAT, version: 1, profile }, null, 2);
+    }
+
+    /**
+     * Imports one or more profiles from JSON (an exported file, a bare profile or an array).
+     * Imported profiles always get fresh ids so they never overwrite existing ones.
+     * @param {string} json
+     * @returns {Array<Object>} The imported profiles
+     */
+    importProfiles(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (data && data.format === PROFILE_FORMAT) {
+            data = data.profile;
+        }
+        const list = Array.isArray(data) ? data : [data];
+
+        // Validate everything before adding anything
+        const validated = list.map(p => validateProfile({ ...p, id: undefined }));
+        validated.forEach(p => this.profiles.push(p));
+        this.save();
+        return validated;
+    }
+}
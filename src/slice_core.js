@@ -0,0 +1,607 @@
+/**
+ * Slicing core shared by the main thread and the bubble worker.
+ * Works on flat world-space triangle arrays only (no three.js), so it can run in a Web Worker.
+ *
+ * Robustness rules (all distances in mm):
+ *   - Vertices within PLANE_TOLERANCE of the slice plane count as lying on it, and a vertex
+ *     on the plane is treated as above it. Every triangle then crosses the plane with exactly
+ *     two edges or not at all; faces lying in the plane produce no segments, their
+ *     neighbours below provide the boundary.
+ *   - Segment endpoints closer than MERGE_TOLERANCE are merged (spatial hash).
+ *   - Open chains whose ends are within GAP_TOLERANCE are joined / closed; anything
+ *     still open is reported instead of being filled.
+ */
+
+const PLANE_TOLERANCE = 1e-5;
+const MERGE_TOLERANCE = 1e-4;
+const GAP_TOLERANCE = 0.05;
+
+/**
+ * World-space triangles of one mesh, bucketed by Z so a slice only visits the
+ * triangles whose Z interval contains the plane.
+ * Triangles are stored flat (9 floats each); bucket b covers
+ * [minZ + b * bucketHeight, minZ + (b + 1) * bucketHeight) and lists every
+ * triangle overlapping it (CSR layout: bucketStart / bucketTriangles).
+ */
+export class TriangleSliceIndex {
+    /**
+     * @param {Float32Array} triangles - World-space triangles, 9 floats per triangle
+     */
+    constructor(triangles) {
+        this.triangles = triangles;
+        this.triangleCount = triangles.length / 9;
+
+        const count = this.triangleCount;
+        const triMinZ = new Float32Array(count);
+        const triMaxZ = new Float32Array(count);
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        let extentSum = 0;
+
+        for (let t = 0; t < count; t++) {
+            const o = t * 9;
+            const z1 = triangles[o + 2], z2 = triangles[o + 5], z3 = triangles[o + 8];
+            triMinZ[t] = Math.min(z1, z2, z3);
+            triMaxZ[t] = Math.max(z1, z2, z3);
+            extentSum += triMaxZ[t] - triMinZ[t];
+            minZ = Math.min(minZ, triMinZ[t]);
+            maxZ = Math.max(maxZ, triMaxZ[t]);
+        }
+
+        this.minZ = count > 0 ? minZ : 0;
+        this.maxZ = count > 0 ? maxZ : 0;
+
+        // Buckets about as tall as an average triangle keep both the bucket lists
+        // and the number of triangles checked per slice small.
+        const range = this.maxZ - this.minZ;
+        const averageExtent = count > 0 ? extentSum / count : 0;
+        let bucketCount = 1;
+        if (range > 0 && count > 0) {
+            bucketCount = Math.round(range / Math.max(averageExtent, range / count));
+            bucketCount = Math.max(1, Math.min(bucketCount, count, 65536));
+        }
+        this.bucketCount = bucketCount;
+        this.bucketHeight = range > 0 ? range / bucketCount : 1;
+
+        // Count, prefix-sum, then fill
+        const bucketStart = new Uint32Array(bucketCount + 1);
+        for (let t = 0; t < count; t++) {
+            const b0 = this.getBucket(triMinZ[t]);
+            const b1 = this.getBucket(triMaxZ[t]);
+            for (let b = b0; b <= b1; b++) bucketStart[b + 1]++;
+        }
+        for (let b = 0; b < bucketCount; b++) bucketStart[b + 1] += bucketStart[b];
+
+        const fill = bucketStart.slice(0, bucketCount);
+        const bucketTriangles = new Uint32Array(bucketStart[bucketCount]);
+        for (let t = 0; t < count; t++) {
+            const b0 = this.getBucket(triMinZ[t]);
+            const b1 = this.getBucket(triMaxZ[t]);
+            for (let b = b0; b <= b1; b++) bucketTriangles[fill[b]++] = t;
+        }
+
+        this.triMinZ = triMinZ;
+        this.triMaxZ = triMaxZ;
+        this.bucketStart = bucketStart;
+        this.bucketTriangles = bucketTriangles;
+    }
+
+    /**
+     * Bucket containing height z (clamped to the index range).
+     */
+    getBucket(z) {
+        const b = Math.floor((z - this.minZ) / this.bucketHeight);
+        return Math.max(0, Math.min(this.bucketCount - 1, b));
+    }
+
+    /**
+     * Appends the intersection segments of the plane Z = z to `segments`.
+     * @param {number} z
+     * @param {Array<[{x: number, y: number}, {x: number, y: number}]>} segments
+     * @returns {number} Number of triangles checked
+     */
+    intersect(z, segments) {
+        if (this.triangleCount === 0 || z < this.minZ || z > this.maxZ + PLANE_TOLERANCE) return 0;
+
+        // Triangles ending just below the plane still touch it within the tolerance
+        const first = this.getBucket(z - PLANE_TOLERANCE);
+        const last = this.getBucket(z);
+        let checked = 0;
+        for (let b = first; b <= last; b++) {
+            const end = this.bucketStart[b + 1];
+            checked += end - this.bucketStart[b];
+            for (let i = this.bucketStart[b]; i < end; i++) {
+                const t = this.bucketTriangles[i];
+                if (b > first && this.getBucket(this.triMinZ[t]) < b) continue; // Already seen
+                if (z < this.triMinZ[t] || z > this.triMaxZ[t] + PLANE_TOLERANCE) continue;
+                const segment = getTriangleIntersectionSegment(this.triangles, t * 9, z);
+                if (segment) segments.push(segment);
+            }
+        }
+        return checked;
+    }
+}
+
+/**
+ * Slices a set of triangle indices at many heights in a single sweep: triangles are
+ * sorted by their lowest Z and kept in an active list while the plane moves up, so
+ * every triangle is visited only for the layers it actually crosses.
+ * @param {Array<TriangleSliceIndex>} indices
+ * @param {Array<number>} heights - Slice heights (any order)
+ * @param {function(number, number): void} [onProgress] - Called with (layers done, layer count)
+ * @param {Object} [report] - Collects stitching problems: { closedGaps, openContours: [{ layer, z, points }] }
+ * @returns {Array<Array<ContourNode>>} Contour tree per height, in the order of `heights`
+ */
+export function sweepSliceIndices(indices, heights, onProgress = null, report = null) {
+    // One entry per triangle of every mesh, sorted by lowest Z
+    const total = indices.reduce((sum, index) => sum + index.triangleCount, 0);
+    const entryMesh = new Uint32Array(total);
+    const entryTriangle = new Uint32Array(total);
+    const entryMinZ = new Float32Array(total);
+    let e = 0;
+    indices.forEach((index, m) => {
+        for (let t = 0; t < index.triangleCount; t++, e++) {
+            entryMesh[e] = m;
+            entryTriangle[e] = t;
+            entryMinZ[e] = index.triMinZ[t];
+        }
+    });
+    const order = new Uint32Array(total).map((_, i) => i).sort((a, b) => entryMinZ[a] - entryMinZ[b]);
+
+    const heightOrder = heights.map((_, i) => i).sort((a, b) => heights[a] - heights[b]);
+    const layers = new Array(heights.length);
+    const active = [];
+    let next = 0;
+
+    heightOrder.forEach((h, done) => {
+        const z = heights[h];
+        while (next < total && entryMinZ[order[next]] <= z) {
+            active.push(order[next++]);
+        }
+
+        // Intersect the active triangles, dropping those that ended below the plane
+        const segments = [];
+        let kept = 0;
+        for (let i = 0; i < active.length; i++) {
+            const entry = active[i];
+            const index = indices[entryMesh[entry]];
+            const t = entryTriangle[entry];
+            if (index.triMaxZ[t] < z - PLANE_TOLERANCE) continue;
+            active[kept++] = entry;
+
+            const segment = getTriangleIntersectionSegment(index.triangles, t * 9, z);
+            if (segment) segments.push(segment);
+        }
+        active.length = kept;
+
+        const layerReport = report ? createStitchReport() : null;
+        layers[h] = buildContourTree(stitchSegments(segments, layerReport));
+        if (report) mergeStitchReport(report, layerReport, h, z);
+        if (onProgress) onProgress(done + 1, heights.length);
+    });
+
+    console.log(`[GeoUtils] Swept ${heights.length} layers over ${total} triangles.`);
+    return layers;
+}
+
+/**
+ * Calculates the intersection segment of a triangle with a Z-plane.
+ * Vertices on the plane (within PLANE_TOLERANCE) count as above it, so exactly
+ * two edges cross or none do; a crossing at an on-plane vertex is the vertex itself.
+ * @param {Float32Array} triangles - Flat triangle array
+ * @param {number} o - Offset of the triangle (9 floats)
+ * @param {number} z
+ * @returns {[{x: number, y: number}, {x: number, y: number}] | null}
+ */
+function getTriangleIntersectionSegment(triangles, o, z) {
+    const points = [];
+
+    for (let k = 0; k < 3; k++) {
+        const a = o + k * 3;
+        const b = o + ((k + 1) % 3) * 3;
+        let da = triangles[a + 2] - z;
+        let db = triangles[b + 2] - z;
+        if (Math.abs(da) <= PLANE_TOLERANCE) da = 0;
+        if (Math.abs(db) <= PLANE_TOLERANCE) db = 0;
+
+        if ((da < 0) === (db < 0)) continue; // Both below or both on/above
+
+        if (da === 0) {
+            points.push({ x: triangles[a], y: triangles[a + 1] });
+        } else if (db === 0) {
+            points.push({ x: triangles[b], y: triangles[b + 1] });
+        } else {
+            const t = da / (da - db);
+            points.push({
+                x: triangles[a] + t * (triangles[b] - triangles[a]),
+                y: triangles[a + 1] + t * (triangles[b + 1] - triangles[a + 1])
+            });
+        }
+    }
+
+    return points.length === 2 ? [points[0], points[1]] : null;
+}
+
+/**
+ * Empty stitching report: merged vertices, gaps closed and the contours left open.
+ * @returns {{mergedVertices: number, closedGaps: number, openContours: Array<Array<[number, number]>>}}
+ */
+export function createStitchReport() {
+    return { mergedVertices: 0, closedGaps: 0, openContours: [] };
+}
+
+function mergeStitchReport(total, report, layer, z) {
+    total.mergedVertices = (total.mergedVertices || 0) + report.mergedVertices;
+    total.closedGaps = (total.closedGaps || 0) + report.closedGaps;
+    total.openContours = total.openContours || [];
+    report.openContours.forEach(points => total.openContours.push({ layer, z, points }));
+}
+
+/**
+ * Stitches a list of segments into closed loops.
+ * Endpoints are merged within MERGE_TOLERANCE; open chains are joined and closed
+ * across gaps up to GAP_TOLERANCE. Chains that stay open are left out of the
+ * result and listed in the report.
+ * @param {Array<[{x: number, y: number}, {x: number, y: number}]>} segments
+ * @param {Object} [report] - Filled with the stitching statistics (see createStitchReport)
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function stitchSegments(segments, report = null) {
+    if (segments.length === 0) return [];
+    report = report || createStitchReport();
+
+    // 1. Merge endpoints with a spatial hash (cell = tolerance, search the 3x3 neighbourhood)
+    const vertices = [];
+    const cells = new Map();
+    const tolerance2 = MERGE_TOLERANCE * MERGE_TOLERANCE;
+    let endpoints = 0;
+    const getVertex = (p) => {
+        endpoints++;
+        const cx = Math.floor(p.x / MERGE_TOLERANCE);
+        const cy = Math.floor(p.y / MERGE_TOLERANCE);
+        for (let i = cx - 1; i <= cx + 1; i++) {
+            for (let j = cy - 1; j <= cy + 1; j++) {
+                const bucket = cells.get(`${i},${j}`);
+                if (!bucket) continue;
+                for (const id of bucket) {
+                    const dx = vertices[id][0] - p.x;
+                    const dy = vertices[id][1] - p.y;
+                    if (dx * dx + dy * dy <= tolerance2) return id;
+                }
+            }
+        }
+        const id = vertices.length;
+        vertices.push([p.x, p.y]);
+        const key = `${cx},${cy}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(id);
+        return id;
+    };
+
+    // 2. Build the graph: vertex -> [{ to, edge }], skipping degenerate and duplicate segments
+    const adjacency = new Map();
+    const edgeKeys = new Set();
+    let edgeCount = 0;
+    segments.forEach(([p1, p2], i) => {
+        if (isNaN(p1.x) || isNaN(p1.y) || isNaN(p2.x) || isNaN(p2.y)) {
+            console.error('[GeoUtils] NaN point found in segment', i);
+            return;
+        }
+
+        const a = getVertex(p1);
+        const b = getVertex(p2);
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        if (a === b || edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+
+        if (!adjacency.has(a)) adjacency.set(a, []);
+        if (!adjacency.has(b)) adjacency.set(b, []);
+        adjacency.get(a).push({ to: b, edge: edgeCount });
+        adjacency.get(b).push({ to: a, edge: edgeCount });
+        edgeCount++;
+    });
+    report.mergedVertices += endpoints - vertices.length;
+
+    // 3. Trace chains, extending both ends of open ones
+    const visited = new Uint8Array(edgeCount);
+    const extend = (chain) => {
+        for (; ;) {
+            const tail = chain[chain.length - 1];
+            const next = (adjacency.get(tail) || []).find(n => !visited[n.edge]);
+            if (!next) return;
+            visited[next.edge] = 1;
+            if (next.to === chain[0]) return true; // Back at the start
+            chain.push(next.to);
+        }
+    };
+
+    const loops = [];
+    const open = [];
+    adjacency.forEach((neighbors, start) => {
+        neighbors.forEach(first => {
+            if (visited[first.edge]) return;
+            visited[first.edge] = 1;
+
+            const chain = [start, first.to];
+            if (extend(chain)) {
+                loops.push(chain);
+                return;
+            }
+            chain.reverse();
+            if (extend(chain)) {
+                loops.push(chain);
+            } else {
+                open.push(chain);
+            }
+        });
+    });
+
+    // 4. Join open chains whose ends are close, then close near-closed chains
+    const point = (id) => vertices[id];
+    const gap = (a, b) => Math.hypot(point(a)[0] - point(b)[0], point(a)[1] - point(b)[1]);
+    while (open.length > 0) {
+        const chain = open.pop();
+        let joined = true;
+        while (joined) {
+            joined = false;
+            const tail = chain[chain.length - 1];
+            for (let i = 0; i < open.length; i++) {
+                const other = open[i];
+                if (gap(tail, other[0]) <= GAP_TOLERANCE) {
+                    chain.push(...other);
+                } else if (gap(tail, other[other.length - 1]) <= GAP_TOLERANCE) {
+                    chain.push(...other.reverse());
+                } else {
+                    continue;
+                }
+                open.splice(i, 1);
+                report.closedGaps++;
+                joined = true;
+                break;
+            }
+        }
+
+        if (chain.length >= 3 && gap(chain[0], chain[chain.length - 1]) <= GAP_TOLERANCE) {
+            report.closedGaps++;
+            loops.push(chain);
+        } else {
+            report.openContours.push(chain.map(point));
+        }
+    }
+
+    if (report.openContours.length > 0) {
+        console.warn(`[GeoUtils] ${report.openContours.length} contour(s) could not be closed.`);
+    }
+
+    return loops
+        .filter(chain => chain.length >= 3)
+        .map(chain => chain.map(point));
+}
+
+/**
+ * Signed area of a polygon (positive = counter-clockwise).
+ * @param {Array<[number, number]>} points
+ * @returns {number}
+ */
+export function getSignedArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        area += (points[j][0] - points[i][0]) * (points[j][1] + points[i][1]);
+    }
+    return area / 2;
+}
+
+/**
+ * Even-odd ray cast against a single polygon.
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number, number]>} points
+ * @returns {boolean}
+ */
+export function isPointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const xi = points[i][0], yi = points[i][1];
+        const xj = points[j][0], yj = points[j][1];
+
+        const intersect = ((yi > y) !== (yj > y)) &&
+            (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+}
+
+function getPolygonBounds(points) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    points.forEach(([x, y]) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    });
+    return bounds;
+}
+
+function isPointInNode(x, y, node) {
+    const b = node.bounds;
+    return x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY && isPointInPolygon(x, y, node.points);
+}
+
+/**
+ * Nests closed loops into a contour tree: outer boundaries contain their holes,
+ * holes contain islands, and so on. Winding is made consistent: outer loops
+ * (even depth) are counter-clockwise, holes (odd depth) clockwise.
+ *
+ * ContourNode: { points, hole, depth, area, bounds, children: Array<ContourNode> }
+ *
+ * @param {Array<Array<[number, number]>>} loops
+ * @param {boolean} nested - false treats every loop as an outer boundary
+ *   (for overlapping shapes such as bubble cross-sections)
+ * @returns {Array<ContourNode>} Root (outermost) contours
+ */
+export function buildContourTree(loops, nested = true) {
+    const nodes = loops
+        .filter(points => points.length >= 3)
+        .map(points => {
+            const signedArea = getSignedArea(points);
+            return {
+                points,
+                signedArea,
+                area: Math.abs(signedArea),
+                bounds: getPolygonBounds(points),
+                hole: false,
+                depth: 0,
+                children: []
+            };
+        })
+        .sort((a, b) => b.area - a.area);
+
+    // Largest first, so every possible parent is placed before its children
+    const roots = [];
+    const placed = [];
+    nodes.forEach(node => {
+        let parent = null;
+        if (nested) {
+            // Test with an edge midpoint: less likely to sit on a touching boundary than a vertex
+            const [p0, p1] = node.points;
+            const tx = (p0[0] + p1[0]) / 2;
+            const ty = (p0[1] + p1[1]) / 2;
+            for (let i = placed.length - 1; i >= 0; i--) { // Smallest container wins
+                if (placed[i].area > node.area && isPointInNode(tx, ty, placed[i])) {
+                    parent = placed[i];
+                    break;
+                }
+            }
+        }
+
+        if (parent) {
+            node.depth = parent.depth + 1;
+            node.hole = node.depth % 2 === 1;
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+        placed.push(node);
+
+        // Outer loops counter-clockwise, holes clockwise
+        if ((node.signedArea < 0) !== node.hole) {
+            node.points = node.points.slice().reverse();
+        }
+        delete node.signedArea;
+    });
+
+    return roots;
+}
+
+/**
+ * Lists every loop of a contour tree (outer loops and holes), depth first.
+ * @param {Array<ContourNode>} tree
+ * @returns {Array<ContourNode>}
+ */
+export function flattenContourTree(tree) {
+    const list = [];
+    const visit = (node) => {
+        list.push(node);
+        node.children.forEach(visit);
+    };
+    tree.forEach(visit);
+    return list;
+}
+
+/**
+ * Splits a contour tree into fillable shapes: every outer loop with its direct holes.
+ * Islands inside holes become shapes of their own.
+ * @param {Array<ContourNode>} tree
+ * @returns {Array<{outer: Array<[number, number]>, holes: Array<Array<[number, number]>>}>}
+ */
+export function getContourShapes(tree) {
+    return flattenContourTree(tree)
+        .filter(node => !node.hole)
+        .map(node => ({ outer: node.points, holes: node.children.map(child => child.points) }));
+}
+
+/**
+ * Whether a point lies in the material of a contour tree (inside an outer loop
+ * but not inside one of its holes, unless inside an island of that hole).
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<ContourNode>} tree
+ * @returns {boolean}
+ */
+export function isPointInContourTree(x, y, tree) {
+    return tree.some(node => isPointInNode(x, y, node) && !isPointInContourTree(x, y, node.children));
+}
+
+/**
+ * Edges of a contour tree bucketed on a uniform XY grid, for distance-to-boundary
+ * queries (surface bubbles, shell walls).
+ */
+export class ContourEdgeGrid {
+    /**
+     * @param {Array<ContourNode>} tree
+     * @param {number} cellSize - Grid cell size in mm (about the largest query distance)
+     */
+    constructor(tree, cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // "i,j" -> Array<edge index>
+        const edges = [];
+
+        flattenContourTree(tree).forEach(node => {
+            const points = node.points;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                edges.push(points[j][0], points[j][1], points[i][0], points[i][1]);
+            }
+        });
+        this.edges = new Float64Array(edges);
+
+        for (let e = 0; e < this.edges.length; e += 4) {
+            const [x0, y0, x1, y1] = this.edges.subarray(e, e + 4);
+            const i0 = Math.floor(Math.min(x0, x1) / cellSize), i1 = Math.floor(Math.max(x0, x1) / cellSize);
+            const j0 = Math.floor(Math.min(y0, y1) / cellSize), j1 = Math.floor(Math.max(y0, y1) / cellSize);
+            for (let i = i0; i <= i1; i++) {
+                for (let j = j0; j <= j1; j++) {
+                    const key = `${i},${j}`;
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Distance from a point to the nearest contour edge, capped at maxDistance.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} maxDistance
+     * @returns {number}
+     */
+    getDistance(x, y, maxDistance) {
+        const { cellSize, edges } = this;
+        let best = maxDistance * maxDistance;
+        const visited = new Set();
+
+        const i0 = Math.floor((x - maxDistance) / cellSize), i1 = Math.floor((x + maxDistance) / cellSize);
+        const j0 = Math.floor((y - maxDistance) / cellSize), j1 = Math.floor((y + maxDistance) / cellSize);
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) {
+                const bucket = this.cells.get(`${i},${j}`);
+                if (!bucket) continue;
+
+                for (const e of bucket) {
+                    if (visited.has(e)) continue;
+                    visited.add(e);
+                    best = Math.min(best, getSegmentDistanceSq(x, y, edges[e], edges[e + 1], edges[e + 2], edges[e + 3]));
+                }
+            }
+        }
+        return Math.sqrt(best);
+    }
+}
+
+function getSegmentDistanceSq(x, y, x0, y0, x1, y1) {
+    const dx = x1 - x0, dy = y1 - y0;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / lengthSq)) : 0;
+    const px = x0 + t * dx - x, py = y0 + t * dy - y;
+    return px * px + py * py;
+}
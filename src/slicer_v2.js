@@ -1,21 +1,37 @@
 import * as THREE from 'three';
-import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 
-import { getSliceContours } from './geometry_utils_v2.js';
+import { loadModelFile } from './model_loader.js';
+import { getImportScale } from './units.js';
+import { dropToBed } from './model_transform.js';
+import { analyzeMesh, repairMesh } from './mesh_health.js';
+import { layerCache } from './layer_cache.js';
+import { flattenContourTree, getContourShapes } from './slice_core.js';
+import { getObjectSliceIndices } from './geometry_utils_v2.js';
+import { buildSlopeProfile, getAdaptiveLayerHeights } from './adaptive_layers.js';
+import { createBubbleInstances, cloneBubbleInstances, setBubbleHighlights } from './bubble_renderer.js';
 
 let currentMesh = null;
 let originalMesh = null; // Store original loaded mesh
 let activeSliceTarget = null; // Mesh to be sliced (can be separate from loaded mesh)
+let activeBubbleModel = null; // BubbleModel shown as instanced bubbles (sliced analytically)
+let unsupportedBubbleIds = new Set(); // Bubbles of activeBubbleModel drawn red (no support below)
 let sliceGroup = new THREE.Group(); // Container for slice contours
 let debugGroup = new THREE.Group(); // Container for debug visuals
 let ghostMesh = null;
-let capMesh = null;
 let useCaps = true; // State for cap rendering
+let sliderLayers = null; // Cached contours of all slider layers + their built visuals
+let pendingSliderPass = null; // Cache key of the slider pass being sliced in the worker
+// Shared slice visual materials: thick blue line always on top, cyan glow cap
+const contourMaterial = new THREE.LineBasicMaterial({ color: 0x00E5FF, linewidth: 2, depthTest: false, depthWrite: false });
+const capMaterial = new THREE.MeshBasicMaterial({ color: 0x00E5FF, side: THREE.DoubleSide, transparent: true, opacity: 0.5, depthTest: true });
+const openContourMaterial = new THREE.LineBasicMaterial({ color: 0xff3333, linewidth: 2, depthTest: false, depthWrite: false });
 const bottomClipPlane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0); // Keeps Z < constant
 const topClipPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);    // Keeps Z > -constant
-const loader = new OBJLoader();
 let modelHeight = 10; // Dynamic current height
 let originalModelHeight = 10; // Saved original height
+let previewScale = 20; // 2D preview pixels per mm, fitted to the loaded model
+let adaptiveOptions = null; // { minHeight, maxHeight, maxDeviation } while adaptive layering is on
+let adaptiveHeights = null; // Adaptive layer boundaries (slider value i -> Z), null = uniform layers
 
 
 /**
@@ -78,7 +94,21 @@ export function getSlicePoints(object, z0) {
     return points;
 }
 
-export function setupSlicer(url, scene, camera, controls) {
+/**
+ * Loads a model file (OBJ/STL/3MF/glTF) and sets it up for slicing.
+ * The model keeps its real-world size (in mm) unless autoNormalize is set.
+ * @param {File} file
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {OrbitControls} controls
+ * @param {{unit: string, autoNormalize: boolean, autoRepair: boolean}} importOptions - Unit the file is authored in, mesh repair
+ * @returns {Promise<{health: {before: Object, after: Object|null, repair: Object|null},
+ *   parts: Array<string>, unit: string|null}|undefined>}
+ *   Resolves with the mesh health report, the part names and the unit fixed by the file format
+ *   (null when the import unit was used) once the model is loaded (undefined if it failed to load
+ *   or to be set up; the two failures are reported separately)
+ */
+export function setupSlicer(file, scene, camera, controls, importOptions = { unit: 'mm', autoNormalize: false, autoRepair: true }) {
     // Clean up previous mesh and slice
     if (currentMesh) {
         scene.remove(currentMesh);
@@ -103,7 +133,8 @@ export function setupSlicer(url, scene, camera, controls) {
         sliceGroup.clear();
         currentMesh = null;
         ghostMesh = null;
-        capMesh = null;
+        activeBubbleModel = null;
+        disposeSliceVisuals();
         useCaps = true; // Reset to default
     }
 
@@ -113,17 +144,30 @@ export function setupSlicer(url, scene, camera, controls) {
     debugGroup = new THREE.Group();
     scene.add(debugGroup);
 
-    loader.load(url, (object) => {
-        // Normalize object scale and center it
+    return loadModelFile(file).then((object) => {
+        // Mesh health check (and repair) before anything is sliced
+        const health = { before: analyzeMesh(object), after: null, repair: null };
+        console.log('[Slicer] Mesh health:', health.before);
+        if (importOptions.autoRepair && (!health.before.healthy || health.before.duplicateVertices > 0)) {
+            health.repair = repairMesh(object);
+            health.after = analyzeMesh(object);
+        }
+
+        // Convert to mm (or normalize) and center it
         const box = new THREE.Box3().setFromObject(object);
         const size = box.getSize(new THREE.Vector3());
 
         const maxDim = Math.max(size.x, size.y, size.z);
-        const scale = 10 / maxDim; // Fit within 10 units
+        // Formats with a fixed unit (glTF: metres) ignore the chosen import unit
+        const unit = object.userData.unit || importOptions.unit;
+        const scale = getImportScale(unit, importOptions.autoNormalize, maxDim);
 
         object.scale.set(scale, scale, scale);
-        // Correct rotation for Z-up (Standard OBJ is usually Y-up)
-        object.rotation.x = Math.PI / 2;
+        object.userData.importScale = scale; // Reference for relative (%) scaling in the placement tools
+        // Correct rotation for Z-up (Standard OBJ is usually Y-up, STL is already Z-up)
+        if (object.userData.upAxis !== 'z') {
+            object.rotation.x = Math.PI / 2;
+        }
 
         // Recalculate box after scaling AND rotation to get correct world bounds
         box.setFromObject(object);
@@ -138,7 +182,9 @@ export function setupSlicer(url, scene, camera, controls) {
 
         modelHeight = newSize.z;
         originalModelHeight = newSize.z;
-        console.log('Model aligned. Height:', newSize.z);
+        console.log(`Model aligned (${importOptions.autoNormalize ? 'normalized' : unit}). Size: ${newSize.x.toFixed(2)} x ${newSize.y.toFixed(2)} x ${newSize.z.toFixed(2)} mm`);
+
+        fitPreviewToBox(box.setFromObject(object));
 
         // Visual Box Helper disabled
         // const boxHelper = new THREE.BoxHelper(object, 0xffff00);
@@ -188,8 +234,14 @@ export function setupSlicer(url, scene, camera, controls) {
         scene.add(ghostMesh);
 
         // Adjust camera target
-        const newCenter = new THREE.Vector3(0, 0, (size.z * scale) / 2);
+        const newCenter = new THREE.Vector3(0, 0, newSize.z / 2);
         controls.target.copy(newCenter);
+
+        // Frame the model: keep the viewing direction, adapt the distance to its real size
+        const viewDistance = Math.max(newSize.length() * 1.2, 10);
+        const viewDir = camera.position.clone().sub(controls.target).normalize();
+        if (viewDir.lengthSq() === 0) viewDir.set(1, -1, 1).normalize();
+        camera.position.copy(newCenter).addScaledVector(viewDir, viewDistance);
         controls.update();
 
         // Initialize slider range based on CORRECT world height
@@ -197,6 +249,8 @@ export function setupSlicer(url, scene, camera, controls) {
         const height = newSize.z; // Use the rotated/aligned height
         const maxLimit = height;
 
+        adaptiveOptions = null; // Re-applied by the caller for the new model
+        adaptiveHeights = null;
         slider.max = 200;
         slider.value = 200;
         slider.step = 1;
@@ -206,8 +260,7 @@ export function setupSlicer(url, scene, camera, controls) {
         topClipPlane.constant = -height; // Initial top plane allows everything above -height (so everything)
 
         slider.oninput = (e) => {
-            const ratio = e.target.value / e.target.max; // 0 to 1
-            const z0 = ratio * modelHeight; // Use dynamic modelHeight!
+            const z0 = getSliderHeights(Number(e.target.max))[Number(e.target.value)];
 
             // Update clipping planes
             // Bottom keeps < z0.
@@ -222,15 +275,6 @@ export function setupSlicer(url, scene, camera, controls) {
             // Ensure matrices are up to date before slicing
             currentMesh.updateMatrixWorld(true);
 
-            // Update visual plane
-            // if (slicePlaneMesh) {
-            //     slicePlaneMesh.visible = true;
-            //     slicePlaneMesh.position.set(0, 0, z0);
-            // }
-
-            // Ensure matrices are up to date before slicing
-            currentMesh.updateMatrixWorld(true);
-
             // Real Geometric Slicing - Returns array of arrays of points
             const target = activeSliceTarget || currentMesh;
             if (activeSliceTarget) {
@@ -244,87 +288,242 @@ export function setupSlicer(url, scene, camera, controls) {
                 typeLabel.textContent = isBubbles ? '2D Slice Preview (Bubbles)' : '2D Slice Preview (Original)';
             }
 
-            console.log(`[Slicer] Slicing target: ${activeSliceTarget ? 'BubbleMesh' : 'OriginalMesh'} at Z=${z0.toFixed(2)}`);
-            const polygons = getSliceContours(target, z0);
-
-            if (polygons.length > 0) {
-                // 1. Draw Contours (Blue Line) - Only if caps enabled (or make a separate setting? For now link to caps)
-                if (useCaps) {
-                    polygons.forEach(polygon => {
-                        const points = polygon.map(p => new THREE.Vector3(p[0], p[1], z0));
-                        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-                        // Thick blue line, always on top
-                        const material = new THREE.LineBasicMaterial({
-                            color: 0x00E5FF,
-                            linewidth: 2,
-                            depthTest: false,
-                            depthWrite: false
-                        });
-                        const line = new THREE.LineLoop(geometry, material);
-                        line.renderOrder = 999; // Ensure it draws last
-                        sliceGroup.add(line);
-                    });
-                }
-
-                // 2. Generate Cap Mesh (Highlighted Plane)
-                const shapes = [];
-                polygons.forEach(polygon => {
-                    // Create Shape
-                    const shape = new THREE.Shape();
-                    if (polygon.length > 0) {
-                        shape.moveTo(polygon[0][0], polygon[0][1]);
-                        for (let i = 1; i < polygon.length; i++) {
-                            shape.lineTo(polygon[i][0], polygon[i][1]);
-                        }
-                        shape.closePath();
-                        shapes.push(shape);
-                    }
-                });
-
-                if (useCaps && shapes.length > 0) {
-                    const capGeo = new THREE.ShapeGeometry(shapes);
-                    const capMat = new THREE.MeshBasicMaterial({
-                        color: 0x00E5FF, // Cyan glow
-                        side: THREE.DoubleSide,
-                        transparent: true,
-                        opacity: 0.5,
-                        depthTest: true
-                    });
-                    // Slight Z-offset to prevent z-fighting with the clip face
-                    capMesh = new THREE.Mesh(capGeo, capMat);
-                    capMesh.position.z = z0 + 0.001;
-                    sliceGroup.add(capMesh);
-                }
+            // All slider layers are sliced once and cached; moving the slider only looks them up
+            const layerIndex = Number(e.target.value);
+            const layerSet = getSliderLayers(target, Number(e.target.max));
+            if (!layerSet) {
+                // Still slicing in the worker; the slider is refreshed when the pass arrives
+                const canvas = document.getElementById('sliceCanvas');
+                if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+                return;
+            }
+            const contours = layerSet.layers[layerIndex] || [];
+            const openContours = layerSet.report.openContours.filter(c => c.layer === layerIndex);
 
-                console.log(`Slice at Z=${z0.toFixed(2)}: Found ${polygons.length} contours.`);
+            if (contours.length > 0 || openContours.length > 0) {
+                sliceGroup.add(getSliceVisual(layerSet, layerIndex, z0));
+                console.log(`Slice at Z=${z0.toFixed(2)}: Found ${flattenContourTree(contours).length} contours.`);
             }
 
             // Draw to 2D Canvas
             const canvas = document.getElementById('sliceCanvas');
             if (canvas) {
                 const ctx = canvas.getContext('2d');
-                drawSliceToCanvas(ctx, polygons, canvas.width, canvas.height);
+                drawSliceToCanvas(ctx, contours, canvas.width, canvas.height, previewScale, openContours,
+                    getBubbleSlice(target, z0, b => unsupportedBubbleIds.has(b.id)),
+                    getBubbleSlice(target, z0, b => b.type !== 'model'),
+                    getBubblePath(target, z0));
             }
+            updateSliceWarning(layerSet.report, openContours.length);
         };
 
         // Trigger initial update
         slider.dispatchEvent(new Event('input'));
 
         console.log("Model loaded with Z-up", object);
-    }, undefined, (error) => {
-        console.error('An error happened', error);
+        return { health, parts: object.userData.parts, unit: object.userData.unit || null };
+    }, (error) => {
+        // Only reading/parsing the file counts as a load failure
+        console.error('[Slicer] Could not load model', error);
+        alert(`Could not load model: ${error.message}`);
+    }).catch((error) => {
+        console.error('[Slicer] Model setup failed', error);
+        alert(`The model was loaded but could not be set up: ${error.message}`);
+    });
+}
+
+/**
+ * Fits the 2D preview scale to the model footprint (the preview is centered at 0,0).
+ * @param {THREE.Box3} box - World bounds of the model
+ */
+function fitPreviewToBox(box) {
+    const halfExtent = Math.max(
+        Math.abs(box.min.x), Math.abs(box.max.x),
+        Math.abs(box.min.y), Math.abs(box.max.y)
+    );
+    previewScale = halfExtent > 0 ? 130 / halfExtent : 20; // ~130px half-width on the 300px canvas
+}
+
+/**
+ * Z of every slider value: the adaptive layer boundaries when set, else uniform
+ * steps over the (dynamic) model height.
+ * @param {number} layerCount - Slider max
+ * @returns {Array<number>} layerCount + 1 heights
+ */
+function getSliderHeights(layerCount) {
+    if (adaptiveHeights && adaptiveHeights.length === layerCount + 1) {
+        return adaptiveHeights;
+    }
+    const heights = [];
+    for (let i = 0; i <= layerCount; i++) {
+        heights.push((i / layerCount) * modelHeight);
+    }
+    return heights;
+}
+
+/**
+ * Returns the contours of every slider layer for the current target (computed once
+ * per model/layer settings by the layer cache) plus the per-layer visuals built so far.
+ * On a cache miss the pass is sliced in the worker and null is returned until it arrives.
+ * @param {THREE.Object3D} target
+ * @param {number} layerCount - Slider max; layer i sits at i / layerCount of the model height
+ * @returns {{layers: Array<Array<ContourNode>>, report: Object, visuals: Map<string, THREE.Group>}|null}
+ */
+function getSliderLayers(target, layerCount) {
+    const heights = getSliderHeights(layerCount);
+
+    // Instanced bubbles only hold one shared sphere, so slice the bubble model directly
+    const source = (activeBubbleModel && target === currentMesh) ? activeBubbleModel : target;
+    const key = layerCache.getKey(source, heights);
+    const entry = layerCache.peek(key);
+    if (!entry) {
+        requestSliderLayers(source, heights, key);
+        return null;
+    }
+
+    if (!sliderLayers || sliderLayers.layers !== entry.layers) {
+        disposeSliceVisuals();
+        sliderLayers = { layers: entry.layers, report: entry.report, visuals: new Map() };
+    }
+    return sliderLayers;
+}
+
+/**
+ * Slices the slider layers in the worker (with progress under the 2D preview) and
+ * refreshes the slider once they are cached.
+ */
+function requestSliderLayers(source, heights, key) {
+    if (pendingSliderPass === key) return;
+    pendingSliderPass = key;
+
+    const progress = document.getElementById('sliceProgress');
+    const done = () => {
+        if (pendingSliderPass !== key) return false; // Replaced by a newer pass
+        pendingSliderPass = null;
+        if (progress) progress.style.display = 'none';
+        return true;
+    };
+
+    layerCache.getLayersAsync(source, heights, ({ layer, layerCount }) => {
+        if (!progress || pendingSliderPass !== key) return;
+        progress.textContent = `Slicing layer ${layer} of ${layerCount}`;
+        progress.style.display = 'block';
+    }).then(() => {
+        if (!done()) return;
+        document.getElementById('sliceSlider').dispatchEvent(new Event('input'));
+    }, (error) => {
+        if (!done() || error.name === 'AbortError') return;
+        console.error('[Slicer] Slicing failed', error);
+        alert(`Slicing failed: ${error.message}`);
+    });
+}
+
+/**
+ * Builds (or reuses) the 3D contour lines and cap of one slider layer.
+ * @returns {THREE.Group}
+ */
+function getSliceVisual(layerSet, layerIndex, z0) {
+    const key = `${layerIndex}:${useCaps}`;
+    let visual = layerSet.visuals.get(key);
+    if (visual) return visual;
+
+    const tree = layerSet.layers[layerIndex];
+    visual = new THREE.Group();
+
+    // 1. Draw Contours (Blue Line) - Only if caps enabled; outer loops and holes alike
+    if (useCaps) {
+        flattenContourTree(tree).forEach(({ points: loop }) => {
+            const points = loop.map(p => new THREE.Vector3(p[0], p[1], z0));
+            const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), contourMaterial);
+            line.renderOrder = 999; // Ensure it draws last
+            visual.add(line);
+        });
+
+        // 2. Generate Cap Mesh (Highlighted Plane), with the holes left open
+        const toPath = (path, polygon) => {
+            path.moveTo(polygon[0][0], polygon[0][1]);
+            for (let i = 1; i < polygon.length; i++) {
+                path.lineTo(polygon[i][0], polygon[i][1]);
+            }
+            path.closePath();
+            return path;
+        };
+        const shapes = getContourShapes(tree).map(({ outer, holes }) => {
+            const shape = toPath(new THREE.Shape(), outer);
+            holes.forEach(hole => shape.holes.push(toPath(new THREE.Path(), hole)));
+            return shape;
+        });
+
+        if (shapes.length > 0) {
+            // Slight Z-offset to prevent z-fighting with the clip face
+            const capMesh = new THREE.Mesh(new THREE.ShapeGeometry(shapes), capMaterial);
+            capMesh.position.z = z0 + 0.001;
+            visual.add(capMesh);
+        }
+    }
+
+    // Contours that could not be closed, always shown (red, not filled)
+    layerSet.report.openContours.filter(c => c.layer === layerIndex).forEach(({ points: chain }) => {
+        const points = chain.map(p => new THREE.Vector3(p[0], p[1], z0));
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), openContourMaterial);
+        line.renderOrder = 999;
+        visual.add(line);
     });
+
+    layerSet.visuals.set(key, visual);
+    return visual;
+}
+
+function disposeSliceVisuals() {
+    if (!sliderLayers) return;
+    sliderLayers.visuals.forEach(visual => {
+        visual.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+        });
+    });
+    sliderLayers = null;
 }
 
 /**
- * Draws the slice polygons onto a 2D canvas context.
- * Assumes the model is centered at (0,0) and scaled to approx 10 units max dimension.
+ * Re-applies the slicing state after the original model was moved, rotated or scaled:
+ * drops it back onto the bed, syncs the ghost and refreshes height, preview and slice.
+ */
+export function refreshModelPlacement() {
+    if (!originalMesh) return;
+
+    const box = dropToBed(originalMesh);
+    modelHeight = box.max.z;
+    originalModelHeight = box.max.z;
+    fitPreviewToBox(box);
+
+    // The ghost of the original is a separate clone, keep it in sync
+    if (ghostMesh && currentMesh === originalMesh) {
+        ghostMesh.position.copy(originalMesh.position);
+        ghostMesh.quaternion.copy(originalMesh.quaternion);
+        ghostMesh.scale.copy(originalMesh.scale);
+    }
+
+    console.log(`[Slicer] Model placement updated. Height: ${modelHeight.toFixed(2)}`);
+    if (adaptiveOptions) {
+        setAdaptiveLayers(adaptiveOptions); // Slopes changed with the orientation
+    }
+    setSliceTarget(currentMesh);
+}
+
+/**
+ * Draws the slice contour tree onto a 2D canvas context (holes stay unfilled).
+ * Assumes the model is centered at (0,0); scale is fitted to the model footprint on load.
  * @param {CanvasRenderingContext2D} ctx 
- * @param {Array<Array<[number, number]>>} polygons 
+ * @param {Array<ContourNode>} tree 
  * @param {number} width 
  * @param {number} height 
+ * @param {number} scale - Pixels per mm
+ * @param {Array<{points: Array<[number, number]>}>} openContours - Unclosed contours, drawn red
+ * @param {Array<Array<[number, number]>>} unsupported - Cross-sections of unsupported bubbles, filled red
+ * @param {Array<Array<[number, number]>>} supports - Cross-sections of sacrificial (support, raft, brim) bubbles, filled blue
+ * @param {Array<[number, number]>} path - Bubble centers in deposition order, drawn as a yellow polyline
  */
-function drawSliceToCanvas(ctx, polygons, width, height) {
+function drawSliceToCanvas(ctx, tree, width, height, scale, openContours = [], unsupported = [], supports = [], path = []) {
     // Clear with semi-transparent background to show it's active
     ctx.clearRect(0, 0, width, height);
 
@@ -341,12 +540,12 @@ function drawSliceToCanvas(ctx, polygons, width, height) {
     ctx.lineWidth = 2;
     ctx.fillStyle = 'rgba(0, 229, 255, 0.2)';
 
-    const scale = 20; // 20px per unit. Model is ~10 units -> 200px. Canvas is 300px. Fits well.
     const cx = width / 2;
     const cy = height / 2;
 
+    // Outer loops are counter-clockwise and holes clockwise, so the nonzero fill leaves holes empty
     ctx.beginPath();
-    for (const polygon of polygons) {
+    for (const { points: polygon } of flattenContourTree(tree)) {
         if (polygon.length === 0) continue;
 
         // Move to first point
@@ -363,13 +562,137 @@ function drawSliceToCanvas(ctx, polygons, width, height) {
     }
     ctx.fill();
     ctx.stroke();
+
+    const fillPolygons = (polygons, style) => {
+        if (polygons.length === 0) return;
+        ctx.fillStyle = style;
+        ctx.beginPath();
+        polygons.forEach(polygon => {
+            polygon.forEach(([x, y], i) => {
+                if (i === 0) ctx.moveTo(cx + x * scale, cy - y * scale);
+                else ctx.lineTo(cx + x * scale, cy - y * scale);
+            });
+            ctx.closePath();
+        });
+        ctx.fill();
+    };
+    fillPolygons(supports, 'rgba(136, 204, 255, 0.6)');
+    fillPolygons(unsupported, 'rgba(255, 51, 51, 0.6)');
+
+    // Deposition path, with a dot on the first bubble
+    if (path.length > 1) {
+        ctx.strokeStyle = 'rgba(255, 221, 0, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        path.forEach(([x, y], i) => {
+            if (i === 0) ctx.moveTo(cx + x * scale, cy - y * scale);
+            else ctx.lineTo(cx + x * scale, cy - y * scale);
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffdd00';
+        ctx.beginPath();
+        ctx.arc(cx + path[0][0] * scale, cy - path[0][1] * scale, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    if (openContours.length > 0) {
+        ctx.strokeStyle = '#ff3333';
+        ctx.beginPath();
+        openContours.forEach(({ points }) => {
+            points.forEach(([x, y], i) => {
+                if (i === 0) ctx.moveTo(cx + x * scale, cy - y * scale);
+                else ctx.lineTo(cx + x * scale, cy - y * scale);
+            });
+        });
+        ctx.stroke();
+    }
+}
+
+/**
+ * Cross-sections at z of the bubbles accepted by filter, when the bubbles are the slice target.
+ * @returns {Array<Array<[number, number]>>}
+ */
+function getBubbleSlice(target, z, filter) {
+    if (!activeBubbleModel || target !== currentMesh) return [];
+    return activeBubbleModel.getSliceContours(z, 24, filter);
+}
+
+/**
+ * Bubble centers of the layer closest to z, in deposition order, when the bubbles are the slice target.
+ * @returns {Array<[number, number]>}
+ */
+function getBubblePath(target, z) {
+    if (!activeBubbleModel || target !== currentMesh) return [];
+    let closest = null;
+    activeBubbleModel.getNonEmptyLayers().forEach(layer => {
+        if (!closest || Math.abs(layer.z - z) < Math.abs(closest.z - z)) closest = layer;
+    });
+    return closest ? closest.bubbles.map(b => [b.x, b.y]) : [];
+}
+
+/**
+ * Shows how many contours of the sliced model could not be closed.
+ * @param {{openContours: Array<{layer: number}>}} report
+ * @param {number} currentCount - Open contours in the displayed layer
+ */
+function updateSliceWarning(report, currentCount) {
+    const warning = document.getElementById('sliceWarning');
+    if (!warning) return;
+
+    const layerCount = new Set(report.openContours.map(c => c.layer)).size;
+    if (layerCount === 0) {
+        warning.style.display = 'none';
+        return;
+    }
+    warning.textContent = `${report.openContours.length} open contour(s) in ${layerCount} layer(s)`
+        + (currentCount > 0 ? `, ${currentCount} in this layer (red)` : '');
+    warning.style.display = 'block';
 }
 
 export function getModelHeight() {
     return modelHeight;
 }
 
+/**
+ * Sets a uniform layer count (turns adaptive layering off).
+ * @param {number} layerCount
+ */
 export function updateSliceSettings(layerCount) {
+    adaptiveOptions = null;
+    adaptiveHeights = null;
+    resetSlider(layerCount);
+}
+
+/**
+ * Turns on adaptive layering for the loaded model: thin layers where the surface is
+ * close to horizontal, thick layers along steep walls.
+ * @param {{minHeight: number, maxHeight: number, maxDeviation: number}} options - mm
+ * @returns {number} Resulting layer count (0 without a model)
+ */
+export function setAdaptiveLayers(options) {
+    if (!originalMesh) return 0;
+    adaptiveOptions = { ...options };
+
+    originalMesh.updateMatrixWorld(true);
+    const profile = buildSlopeProfile(getObjectSliceIndices(originalMesh), options.minHeight / 4);
+    adaptiveHeights = getAdaptiveLayerHeights(profile, options);
+    console.log(`[Slicer] Adaptive layering: ${adaptiveHeights.length - 1} layers (${options.minHeight}-${options.maxHeight} mm).`);
+
+    resetSlider(adaptiveHeights.length - 1);
+    return adaptiveHeights.length - 1;
+}
+
+/**
+ * Layer boundaries currently used by the slider.
+ * @returns {Array<number>}
+ */
+export function getLayerHeights() {
+    const slider = document.getElementById('sliceSlider');
+    return getSliderHeights(Number(slider.max));
+}
+
+function resetSlider(layerCount) {
     const slider = document.getElementById('sliceSlider');
     const counter = document.getElementById('sliceCounter');
 
@@ -384,6 +707,42 @@ export function updateSliceSettings(layerCount) {
     if (counter) {
         counter.textContent = `Slice ${layerCount}/${layerCount}`;
     }
+
+    drawLayerHeightBar(getSliderHeights(layerCount));
+}
+
+/**
+ * Draws the layer thickness next to the slider, one band per slider step:
+ * thin layers red, thick layers cyan.
+ * @param {Array<number>} heights - Layer boundaries
+ */
+function drawLayerHeightBar(heights) {
+    const canvas = document.getElementById('layerHeightBar');
+    if (!canvas) return;
+
+    canvas.height = canvas.clientHeight || 300;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const count = heights.length - 1;
+    if (count < 1) return;
+
+    const thickness = [];
+    for (let i = 1; i <= count; i++) thickness.push(heights[i] - heights[i - 1]);
+    const min = Math.min(...thickness);
+    const max = Math.max(...thickness);
+    const band = canvas.height / count;
+
+    thickness.forEach((t, i) => {
+        const ratio = max > min ? (t - min) / (max - min) : 1;
+        ctx.fillStyle = `hsl(${Math.round(ratio * 186)}, 100%, 50%)`; // 0 = red ... 186 = cyan
+        // Layer 1 at the bottom, like the slider
+        ctx.fillRect(0, canvas.height - (i + 1) * band, canvas.width, Math.max(band, 1));
+    });
+
+    canvas.title = max > min
+        ? `Layer height ${min.toFixed(3)}-${max.toFixed(3)} mm (red = thin, cyan = thick)`
+        : `Layer height ${min.toFixed(3)} mm`;
 }
 
 
@@ -408,22 +767,10 @@ export function restoreOriginalGeometry(scene) {
     console.log("Restoring original mesh...");
 
     // remove current (bubbles)
-    if (currentMesh) {
-        scene.remove(currentMesh);
-        // dont dispose geometry if it's the original!
-        if (currentMesh !== originalMesh && currentMesh.geometry) {
-            // If it's bubbles, we can dispose. 
-            // But we need to know if currentMesh IS originalMesh.
-            // If we switched currentMesh to point to a new Mesh(bubbleGeo), then it's distinct.
-            currentMesh.geometry.dispose();
-        }
-    }
-    if (ghostMesh) {
-        scene.remove(ghostMesh);
-        if (ghostMesh.geometry) ghostMesh.geometry.dispose();
-    }
+    removeTargetMeshes(scene);
 
     // Restore Original
+    activeBubbleModel = null;
     currentMesh = originalMesh;
     modelHeight = originalModelHeight; // Restore height
     scene.add(currentMesh);
@@ -469,16 +816,8 @@ export function setTargetGeometry(geometry, scene, renderCaps = true) {
     console.log("[Slicer] Setting target geometry (Bubbles)...");
 
     // 1. Cleanup existing currentMesh
-    if (currentMesh) {
-        scene.remove(currentMesh);
-        if (currentMesh.geometry && currentMesh !== originalMesh) {
-            currentMesh.geometry.dispose();
-        }
-    }
-    if (ghostMesh) {
-        scene.remove(ghostMesh);
-        if (ghostMesh.geometry) ghostMesh.geometry.dispose();
-    }
+    removeTargetMeshes(scene);
+    activeBubbleModel = null;
 
     // 2. Create Solid Mesh (Bottom)
     // Ensure normals are computed for Phong material
@@ -549,3 +888,116 @@ export function setSliceTarget(mesh) {
     }
 }
 
+/**
+ * Shows a bubble model as instanced spheres (solid bottom + ghost top) and makes it the slice target.
+ * Replaces the loaded OBJ visualization, like setTargetGeometry.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {THREE.Scene} scene
+ * @param {boolean} renderCaps
+ */
+export function setTargetBubbles(model, scene, renderCaps = false) {
+    if (!model || model.bubbleCount === 0) {
+        console.error("setTargetBubbles called with an empty bubble model");
+        return;
+    }
+
+    console.log(`[Slicer] Setting target bubbles (${model.bubbleCount} instances)...`);
+
+    // 1. Cleanup existing currentMesh
+    removeTargetMeshes(scene);
+
+    // 2. Solid instances (Bottom)
+    const material = new THREE.MeshPhongMaterial({
+        color: 0xffaa00, // Orange
+        emissive: 0x222222,
+        specular: 0x111111,
+        shininess: 30,
+        side: THREE.DoubleSide,
+        flatShading: true,
+        clippingPlanes: [bottomClipPlane],
+        clipShadows: true
+    });
+
+    // Sacrificial support, raft and brim bubbles in pale blue
+    const supportMaterial = new THREE.MeshPhongMaterial({
+        color: 0x88ccff,
+        emissive: 0x111111,
+        specular: 0x111111,
+        shininess: 30,
+        side: THREE.DoubleSide,
+        flatShading: true,
+        clippingPlanes: [bottomClipPlane],
+        clipShadows: true
+    });
+
+    const instances = createBubbleInstances(model, material, supportMaterial);
+    currentMesh = instances;
+    scene.add(instances);
+
+    // 3. Ghost instances (Top), sharing the sphere geometry and instance matrices
+    const ghostMat = new THREE.MeshBasicMaterial({
+        color: 0xababab, // Slightly lighter grey
+        transparent: true,
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        clippingPlanes: [topClipPlane],
+        depthWrite: false, // Important for ghosts
+    });
+
+    ghostMesh = cloneBubbleInstances(instances, ghostMat);
+    scene.add(ghostMesh);
+
+    // Update Height logic
+    modelHeight = model.getBounds().max.z;
+    console.log("Updated modelHeight for bubbles:", modelHeight);
+
+    // 4. Update Slice Target
+    activeBubbleModel = model;
+    unsupportedBubbleIds = new Set();
+    useCaps = renderCaps;
+    setSliceTarget(currentMesh);
+}
+
+/**
+ * Marks bubbles of the displayed bubble model as unsupported: red in the 3D view
+ * and in the 2D preview.
+ * @param {Set<number>} bubbleIds
+ */
+export function setUnsupportedBubbles(bubbleIds) {
+    if (!activeBubbleModel) return;
+    unsupportedBubbleIds = new Set(bubbleIds);
+    setBubbleHighlights(currentMesh, unsupportedBubbleIds);
+
+    const slider = document.getElementById('sliceSlider');
+    if (slider) slider.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Removes the current solid and ghost meshes from the scene, disposing them unless they are the original.
+ * @param {THREE.Scene} scene
+ */
+function removeTargetMeshes(scene) {
+    if (currentMesh) {
+        scene.remove(currentMesh);
+        if (currentMesh !== originalMesh) {
+            disposeTargetObject(currentMesh);
+        }
+    }
+    if (ghostMesh) {
+        scene.remove(ghostMesh);
+        disposeTargetObject(ghostMesh);
+    }
+}
+
+/**
+ * Disposes geometries and materials of a generated (non-original) target object.
+ * @param {THREE.Object3D} object
+ */
+function disposeTargetObject(object) {
+    object.traverse((child) => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    });
+}
@@ -0,0 +1,285 @@
+import { analyzeOverhangs, DEFAULT_OVERHANG_ANGLE } from './overhang_analysis.js';
+
+/**
+ * Sacrificial support bubbles (no three.js, also run by the bubble worker).
+ * Every unsupported model bubble gets a stack of support bubbles below it, ending
+ * interfaceGap under the bubble and resting on the bed or on a lower model bubble:
+ *   - columns: one vertical column per supported bubble
+ *   - trees: nearby bubbles share a trunk; branches lean towards it at most maxAngle
+ *     from vertical, so every support bubble still stands on the one below
+ * Support bubbles are added to the model with type 'support' and never overlap model bubbles.
+ */
+
+export const SUPPORT_STYLES = ['columns', 'trees'];
+
+const TREE_SPREAD = 4; // A tree collects the bubbles of this many column spacings around its trunk
+const EPSILON = 1e-6;
+
+/**
+ * Adds support bubbles under the unsupported bubbles of a model.
+ * @param {import('./bubble_model.js').BubbleModel} model
+ * @param {Object} options
+ * @param {string} [options.style='columns'] - One of SUPPORT_STYLES
+ * @param {number} options.radius - Support bubble radius in mm
+ * @param {number} [options.density=100] - Percentage of the overhang covered: 100 puts a column
+ *   every support bubble width, lower values space the columns further apart
+ * @param {number} [options.interfaceGap=0] - Vertical gap between support and model bubbles in mm
+ * @param {number} [options.maxAngle=45] - Overhang angle, in degrees from vertical
+ * @returns {{targets: number, bubbles: number}} Supported bubbles and support bubbles added
+ */
+export function addSupportBubbles(model, options) {
+    const { style = 'columns', radius, density = 100, interfaceGap = 0, maxAngle = DEFAULT_OVERHANG_ANGLE } = options;
+    const overhangs = analyzeOverhangs(model, { maxAngle });
+    if (overhangs.count === 0) return { targets: 0, bubbles: 0 };
+
+    const bedZ = model.getBounds().min.z;
+    const pitch = radius * 2;
+    const spacing = pitch * 100 / Math.max(1, Math.min(100, density));
+    const coneSlope = Math.tan(maxAngle * Math.PI / 180);
+    const obstacles = createObstacleIndex(model.bubbles, radius, bedZ + radius, coneSlope);
+
+    // Top support bubble under every unsupported bubble, lowest first, thinned out to the density.
+    // Accepted targets are bucketed on an XY grid of one spacing, so only neighbouring cells are tested.
+    const targets = [];
+    const targetCells = new Map();
+    const cellOf = (v) => Math.floor(v / spacing);
+    const isCovered = (top, reachZ) => {
+        const ci = cellOf(top.x), cj = cellOf(top.y);
+        for (let i = ci - 1; i <= ci + 1; i++) {
+            for (let j = cj - 1; j <= cj + 1; j++) {
+                const covered = (targetCells.get(`${i},${j}`) || []).some(t =>
+                    Math.hypot(t.x - top.x, t.y - top.y) < spacing - EPSILON && Math.abs(t.z - top.z) < reachZ);
+                if (covered) return true;
+            }
+        }
+        return false;
+    };
+    [...overhangs.unsupported]
+        .map(id => model.getBubble(id))
+        .sort((a, b) => a.z - b.z)
+        .forEach(bubble => {
+            const top = { x: bubble.x, y: bubble.y, z: bubble.z - bubble.radius - interfaceGap - radius };
+            if (isCovered(top, bubble.radius * 2) || obstacles.collides(top.x, top.y, top.z)) return; // No room under this bubble
+            targets.push(top);
+
+            const key = `${cellOf(top.x)},${cellOf(top.y)}`;
+            if (!targetCells.has(key)) targetCells.set(key, []);
+            targetCells.get(key).push(top);
+        });
+
+    const positions = [];
+    if (style === 'trees') {
+        getClusters(targets, spacing * TREE_SPREAD).forEach(cluster => {
+            positions.push(...getTree(cluster, obstacles, pitch, maxAngle));
+        });
+    } else {
+        targets.forEach(target => {
+            positions.push(...(getColumn(target.x, target.y, target.z, obstacles, pitch) || []));
+        });
+    }
+
+    const layerZ = model.layers.map(layer => layer.z);
+    positions.forEach(p => {
+        model.addBubble(getLayerIndex(layerZ, p.z), p.x, p.y, p.z, radius, null, 'support');
+    });
+
+    console.log(`[Supports] ${positions.length} ${style} support bubbles under ${targets.length} of ${overhangs.count} unsupported bubbles.`);
+    return { targets: targets.length, bubbles: positions.length };
+}
+
+/**
+ * Model bubbles seen by a support bubble of the given radius, bucketed on an XY grid.
+ * For a support center at (x, y), every model bubble within reach blocks the Z interval
+ * (lowZ, highZ) in which the two spheres would overlap. A support can only rest on top
+ * of a model bubble within the overhang cone (coneSlope = horizontal offset per mm of drop).
+ */
+function createObstacleIndex(bubbles, radius, bedFloor, coneSlope) {
+    const maxRadius = bubbles.reduce((m, b) => Math.max(m, b.radius), 0);
+    const cellSize = maxRadius + radius;
+    const cells = new Map();
+    bubbles.forEach(b => {
+        const key = `${Math.floor(b.x / cellSize)},${Math.floor(b.y / cellSize)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(b);
+    });
+
+    const getIntervals = (x, y) => {
+        const intervals = [];
+        const ci = Math.floor(x / cellSize), cj = Math.floor(y / cellSize);
+        for (let i = ci - 1; i <= ci + 1; i++) {
+            for (let j = cj - 1; j <= cj + 1; j++) {
+                (cells.get(`${i},${j}`) || []).forEach(b => {
+                    const reach = b.radius + radius;
+                    const dSq = (b.x - x) * (b.x - x) + (b.y - y) * (b.y - y);
+                    if (dSq >= reach * reach) return;
+                    const half = Math.sqrt(reach * reach - dSq);
+                    intervals.push({ lowZ: b.z - half, highZ: b.z + half, steep: Math.sqrt(dSq) > half * coneSlope + EPSILON });
+                });
+            }
+        }
+        return intervals;
+    };
+
+    return {
+        bedFloor,
+        /** Whether a support bubble at (x, y, z) would overlap a model bubble. */
+        collides(x, y, z) {
+            return getIntervals(x, y).some(({ lowZ, highZ }) => z > lowZ + EPSILON && z < highZ - EPSILON);
+        },
+        /**
+         * Lowest support center below z at (x, y): resting on the bed or on a model bubble.
+         * @returns {number|null} null when a model bubble blocks the way down or the
+         *   support would rest on its side (outside the overhang cone)
+         */
+        getFloor(x, y, z) {
+            let floor = bedFloor;
+            let steep = false;
+            for (const interval of getIntervals(x, y)) {
+                if (interval.lowZ >= z - EPSILON) continue; // Above
+                if (interval.highZ > z + EPSILON) return null; // Around z
+                if (interval.highZ > floor) {
+                    floor = interval.highZ;
+                    steep = interval.steep;
+                }
+            }
+            return steep ? null : floor;
+        }
+    };
+}
+
+/**
+ * Vertical column of touching support bubbles from z down to its floor.
+ * @returns {Array<{x, y, z}>|null} null when there is no room
+ */
+function getColumn(x, y, z, obstacles, pitch) {
+    const floor = obstacles.getFloor(x, y, z);
+    if (floor === null || z < floor - EPSILON) return null;
+
+    const column = [];
+    let current = z;
+    for (; current > floor + EPSILON; current -= pitch) {
+        column.push({ x, y, z: current });
+    }
+    // The lowest bubble sits exactly on the floor
+    column.push({ x, y, z: floor });
+    return column;
+}
+
+/**
+ * Groups targets by XY grid cell; each group becomes one tree.
+ */
+function getClusters(targets, cellSize) {
+    const clusters = new Map();
+    targets.forEach(t => {
+        const key = `${Math.floor(t.x / cellSize)},${Math.floor(t.y / cellSize)}`;
+        if (!clusters.has(key)) clusters.set(key, []);
+        clusters.get(key).push(t);
+    });
+    return [...clusters.values()];
+}
+
+/**
+ * Support bubbles of one tree: a trunk under the cluster center and a leaning branch
+ * from every target to the trunk. Targets whose branch is blocked get their own column.
+ * @returns {Array<{x, y, z}>}
+ */
+function getTree(cluster, obstacles, pitch, maxAngle) {
+    const trunk = {
+        x: cluster.reduce((sum, t) => sum + t.x, 0) / cluster.length,
+        y: cluster.reduce((sum, t) => sum + t.y, 0) / cluster.length
+    };
+    const maxShift = pitch * Math.sin(maxAngle * Math.PI / 180);
+
+    const positions = [];
+    const branches = [];
+    cluster.forEach(target => {
+        const branch = cluster.length > 1 ? getBranch(target, trunk, obstacles, pitch, maxShift) : null;
+        if (branch) {
+            branches.push(branch);
+        } else {
+            positions.push(...(getColumn(target.x, target.y, target.z, obstacles, pitch) || []));
+        }
+    });
+    if (branches.length === 0) return positions;
+
+    // The trunk starts at the highest branch end and reaches the floor
+    const top = Math.max(...branches.map(branch => branch[branch.length - 1].z));
+    const floor = obstacles.getFloor(trunk.x, trunk.y, top);
+    const trunkFloor = floor === null || top < floor - EPSILON ? Infinity : floor;
+
+    const ends = [];
+    branches.forEach(branch => {
+        const end = branch[branch.length - 1].z;
+        if (end >= trunkFloor - EPSILON) {
+            // The trunk bubble at this height ends the branch
+            positions.push(...branch.slice(0, -1));
+            ends.push(end);
+        } else {
+            // Blocked trunk or branch ending under its floor: fall back to a plain column
+            const { x, y, z } = branch[0];
+            positions.push(...(getColumn(x, y, z, obstacles, pitch) || []));
+        }
+    });
+    if (ends.length === 0) return positions;
+
+    positions.push(...getTrunk(trunk.x, trunk.y, ends, trunkFloor, pitch));
+    return positions;
+}
+
+/**
+ * Trunk column through every branch end: one pitch apart below each end, closing
+ * up to the next end (and to the floor) with a shorter step.
+ * @returns {Array<{x, y, z}>}
+ */
+function getTrunk(x, y, ends, floor, pitch) {
+    const stops = [...ends].sort((a, b) => b - a)
+        .filter((z, i, sorted) => i === 0 || sorted[i - 1] - z > EPSILON);
+    if (stops[stops.length - 1] - floor > EPSILON) stops.push(floor);
+
+    const column = [];
+    stops.forEach((stop, i) => {
+        column.push({ x, y, z: stop });
+        if (i === stops.length - 1) return;
+        for (let z = stop - pitch; z > stops[i + 1] + EPSILON; z -= pitch) {
+            column.push({ x, y, z });
+        }
+    });
+    return column;
+}
+
+/**
+ * Support bubbles from a target down to the trunk axis, each at most maxShift to the side
+ * of the one below so they touch within the overhang angle.
+ * @returns {Array<{x, y, z}>|null} null when the branch hits a model bubble or the floor first
+ */
+function getBranch(target, trunk, obstacles, pitch, maxShift) {
+    const branch = [];
+    let { x, y, z } = target;
+
+    for (; ;) {
+        if (obstacles.collides(x, y, z) || z < obstacles.bedFloor - EPSILON) return null;
+        branch.push({ x, y, z });
+
+        const distance = Math.hypot(trunk.x - x, trunk.y - y);
+        if (distance < EPSILON) return branch;
+
+        const shift = Math.min(distance, maxShift);
+        x += (trunk.x - x) * shift / distance;
+        y += (trunk.y - y) * shift / distance;
+        z -= Math.sqrt(pitch * pitch - shift * shift);
+    }
+}
+
+/**
+ * Index of the highest layer at or below z (layers are sorted by Z).
+ */
+function getLayerIndex(layerZ, z) {
+    let low = 0;
+    let high = layerZ.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (layerZ[mid] <= z + EPSILON) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
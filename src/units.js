@@ -0,0 +1,34 @@
+/**
+ * Unit handling. The scene works in millimetres: 1 world unit = 1 mm.
+ */
+
+// Millimetres per source unit
+export const UNIT_SCALE = {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    inch: 25.4
+};
+
+// Largest dimension used when auto-normalize is enabled (legacy behaviour)
+export const NORMALIZED_SIZE = 10;
+
+/**
+ * Returns the scale factor to apply to a freshly loaded model.
+ * @param {string} unit - Unit the file was authored in ('mm', 'cm', 'm', 'inch')
+ * @param {boolean} autoNormalize - Fit the largest dimension to NORMALIZED_SIZE instead
+ * @param {number} maxDim - Largest dimension of the model in file units
+ * @returns {number}
+ */
+export function getImportScale(unit, autoNormalize, maxDim) {
+    if (autoNormalize) {
+        return maxDim > 0 ? NORMALIZED_SIZE / maxDim : 1;
+    }
+
+    const scale = UNIT_SCALE[unit];
+    if (scale === undefined) {
+        console.warn(`[Units] Unknown unit "${unit}", assuming mm.`);
+        return 1;
+    }
+    return scale;
+}